@@ -5,6 +5,8 @@
 class App {
     constructor() {
         this.simulation = null;
+        this.renderer = null;
+        this.lineageView = null;
         this.testHarness = null;
         this.testUI = null;
         this.canvas = document.getElementById('ecosystem-canvas');
@@ -27,12 +29,23 @@ class App {
         // Create test harness first for performance monitoring
         this.testHarness = new TestHarness();
         
-        // Initialize the simulation
-        this.simulation = new Simulation(this.canvas, this.testHarness);
+        // Initialize the simulation (in a Web Worker with ?worker in the URL) and the renderer that draws it
+        if (App.useWorker()) {
+            this.simulation = new SimulationProxy(new Worker('js/core/SimulationWorker.js'));
+        } else {
+            this.simulation = new Simulation(this.testHarness);
+        }
+        this.testHarness.attach(this.simulation);
+        this.simulation.handleResize(this.canvas.width, this.canvas.height);
+        this.renderer = new Renderer(this.canvas);
+        this.lineageView = new LineageView(document.getElementById('lineage-canvas'));
         
         // Initialize UI components
         this.initUI();
         
+        // Apply configuration overrides from the URL
+        this.applyQueryConfig();
+        
         // Start animation loop
         this.animate();
         
@@ -49,7 +62,9 @@ class App {
         // Set up event listeners for control panel
         document.getElementById('start-btn').addEventListener('click', () => this.simulation.start());
         document.getElementById('pause-btn').addEventListener('click', () => this.simulation.pause());
-        document.getElementById('reset-btn').addEventListener('click', () => this.simulation.reset());
+        document.getElementById('reset-btn').addEventListener('click', () => {
+            Promise.resolve(this.simulation.reset()).then(() => this.refreshLineage(true));
+        });
         
         // Set up speed slider
         const speedSlider = document.getElementById('speed-slider');
@@ -61,12 +76,74 @@ class App {
             this.simulation.setSpeed(parseFloat(speed));
         });
         
-        // Set up environment size selector
-        document.getElementById('environment-size').addEventListener('change', (e) => {
-            const size = e.target.value;
-            this.simulation.setEnvironmentSize(size);
+        // Set up preset selector; choosing a preset resets the simulation with it
+        const presetSelect = document.getElementById('config-preset');
+        Object.entries(Config.PRESETS).forEach(([name, preset]) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = preset.label;
+            presetSelect.appendChild(option);
+        });
+        presetSelect.addEventListener('change', () => {
+            this.applyConfig(presetSelect.value ? { preset: presetSelect.value } : Config.defaults());
+        });
+        
+        // Set up config file loading
+        const configInput = document.getElementById('config-input');
+        document.getElementById('load-config-btn').addEventListener('click', () => configInput.click());
+        configInput.addEventListener('change', () => {
+            if (configInput.files.length > 0) {
+                this.loadConfig(configInput.files[0]);
+            }
+            configInput.value = '';
+        });
+        
+        // Set up environment size selector, custom dimensions and aspect ratio
+        document.getElementById('environment-size').addEventListener('change', () => this.resizeEnvironment());
+        document.getElementById('environment-width').addEventListener('change', () => this.resizeEnvironment());
+        document.getElementById('environment-height').addEventListener('change', () => this.resizeEnvironment());
+        document.getElementById('aspect-ratio').addEventListener('change', () => this.resizeEnvironment());
+        
+        // Set up terrain selector and map files (JSON maps or images)
+        document.getElementById('terrain-source').addEventListener('change', (e) => {
+            this.applyConfig({ terrainConfig: { source: e.target.value } });
+        });
+        const mapInput = document.getElementById('map-input');
+        document.getElementById('load-map-btn').addEventListener('click', () => mapInput.click());
+        document.getElementById('save-map-btn').addEventListener('click', () => this.saveMap());
+        mapInput.addEventListener('change', () => {
+            if (mapInput.files.length > 0) {
+                this.loadMap(mapInput.files[0]);
+            }
+            mapInput.value = '';
+        });
+        
+        // Set up evolution mode selector
+        document.getElementById('evolution-mode').addEventListener('change', (e) => {
+            this.simulation.setEvolutionMode(e.target.value);
+        });
+        
+        // Set up save/load controls
+        const loadInput = document.getElementById('load-input');
+        document.getElementById('save-btn').addEventListener('click', () => this.saveSnapshot());
+        document.getElementById('load-btn').addEventListener('click', () => loadInput.click());
+        document.getElementById('restore-btn').addEventListener('click', () => this.restoreAutosave());
+        loadInput.addEventListener('change', () => {
+            if (loadInput.files.length > 0) {
+                this.loadSnapshot(loadInput.files[0]);
+            }
+            loadInput.value = '';
         });
         
+        // Autosave periodically while the simulation is running
+        setInterval(() => this.autosave(), App.AUTOSAVE_INTERVAL);
+        
+        // Set up the lineage tree and its exports
+        document.getElementById('export-newick-btn').addEventListener('click', () => this.exportLineage('newick'));
+        document.getElementById('export-lineage-btn').addEventListener('click', () => this.exportLineage('json'));
+        setInterval(() => this.refreshLineage(), App.LINEAGE_REFRESH_INTERVAL);
+        this.refreshLineage(true);
+        
         // Set up panel toggle buttons
         document.querySelectorAll('.panel-header .close-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -76,6 +153,264 @@ class App {
         });
     }
     
+    /**
+     * Update the controls to match the simulation (e.g. after loading a snapshot)
+     */
+    syncControls() {
+        const speed = this.simulation.speed;
+        document.getElementById('speed-slider').value = speed;
+        document.getElementById('speed-value').textContent = speed + 'x';
+        this.syncEnvironmentControls();
+        document.getElementById('evolution-mode').value = this.simulation.config.evolutionMode;
+        document.getElementById('terrain-source').value = this.simulation.config.terrainConfig.source;
+        this.refreshLineage(true);
+    }
+    
+    /**
+     * Show the environment size settings in the controls
+     */
+    syncEnvironmentControls() {
+        const config = this.simulation.config;
+        document.getElementById('environment-size').value = config.environmentSize;
+        document.getElementById('environment-width').value = config.environmentWidth;
+        document.getElementById('environment-height').value = config.environmentHeight;
+        document.getElementById('environment-height').disabled = config.aspectRatio !== null;
+        document.getElementById('aspect-ratio').value = config.aspectRatio === null ? '' : String(config.aspectRatio);
+        document.getElementById('custom-size').style.display = config.environmentSize === 'custom' ? '' : 'none';
+    }
+    
+    /**
+     * Apply the environment size controls to the simulation
+     */
+    resizeEnvironment() {
+        const size = document.getElementById('environment-size').value;
+        const aspectRatio = document.getElementById('aspect-ratio').value;
+        const dimensions = {
+            width: parseFloat(document.getElementById('environment-width').value),
+            height: parseFloat(document.getElementById('environment-height').value),
+            aspectRatio: aspectRatio === '' ? null : parseFloat(aspectRatio)
+        };
+        
+        Promise.resolve()
+            .then(() => this.simulation.setEnvironmentSize(size, dimensions))
+            .catch(error => {
+                console.error('Failed to resize environment:', error);
+                alert(`Could not resize environment: ${error.message}`);
+            })
+            .then(() => this.syncEnvironmentControls());
+    }
+    
+    /**
+     * Reset the simulation with configuration overrides
+     * @param {Object} overrides Partial configuration, optionally naming a preset (see Config.resolve)
+     * @returns {Promise} Promise resolving once the simulation has reset
+     */
+    applyConfig(overrides) {
+        return Promise.resolve()
+            .then(() => this.simulation.reset(overrides))
+            .then(() => this.syncControls())
+            .catch(error => {
+                console.error('Failed to apply config:', error);
+                alert(`Could not apply config: ${error.message}`);
+            });
+    }
+    
+    /**
+     * Apply configuration overrides from the URL (e.g. ?preset=benchmark&ecologyConfig.biteSize=3)
+     */
+    applyQueryConfig() {
+        let overrides;
+        try {
+            overrides = Config.fromQuery(window.location.search, App.QUERY_FLAGS);
+        } catch (error) {
+            console.error('Ignoring URL config:', error);
+            alert(`Ignoring URL config: ${error.message}`);
+            return;
+        }
+        
+        if (Object.keys(overrides).length > 0) {
+            this.applyConfig(overrides);
+        }
+    }
+    
+    /**
+     * Reset the simulation with overrides from an uploaded JSON config file
+     * @param {File} file Config file
+     */
+    loadConfig(file) {
+        file.text()
+            .then(text => this.applyConfig(Config.fromJSON(text)))
+            .catch(error => {
+                console.error('Failed to load config:', error);
+                alert(`Could not load config: ${error.message}`);
+            });
+    }
+    
+    /**
+     * Replace the terrain with a map from a JSON file or an image (see Environment.mapFromImage)
+     * @param {File} file Map file
+     */
+    loadMap(file) {
+        const map = file.type.startsWith('image/')
+            ? this.readMapImage(file)
+            : file.text().then(text => JSON.parse(text));
+        
+        map.then(result => this.simulation.loadMap(result))
+            .then(() => this.syncControls())
+            .catch(error => {
+                console.error('Failed to load map:', error);
+                alert(`Could not load map: ${error.message}`);
+            });
+    }
+    
+    /**
+     * Read the pixels of an image file into a map
+     * @param {File} file Image file
+     * @returns {Promise} Promise resolving to the map
+     */
+    readMapImage(file) {
+        return createImageBitmap(file).then(image => {
+            // Each pixel becomes a cell, so shrink large images to a workable grid
+            const scale = Math.min(1, App.MAP_IMAGE_SIZE / Math.max(image.width, image.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(image.width * scale));
+            canvas.height = Math.max(1, Math.round(image.height * scale));
+            
+            // Without smoothing every pixel keeps one of the image's own colours
+            const ctx = canvas.getContext('2d');
+            ctx.imageSmoothingEnabled = false;
+            ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+            return Environment.mapFromImage(ctx.getImageData(0, 0, canvas.width, canvas.height));
+        });
+    }
+    
+    /**
+     * Download the current terrain and obstacles as a JSON map
+     */
+    saveMap() {
+        this.download(
+            `map-seed${this.simulation.seed}.json`,
+            JSON.stringify(this.simulation.environment.toJSON()),
+            'application/json'
+        );
+    }
+    
+    /**
+     * Download the current simulation state as a JSON file
+     */
+    saveSnapshot() {
+        // A worker simulation serializes asynchronously
+        Promise.resolve(this.simulation.serialize())
+            .then(snapshot => this.download(
+                `ecosystem-seed${this.simulation.seed}-gen${this.simulation.generation}.json`,
+                JSON.stringify(snapshot),
+                'application/json'
+            ))
+            .catch(error => console.error('Failed to save snapshot:', error));
+    }
+    
+    /**
+     * Offer text to the user as a file download
+     * @param {string} filename Suggested file name
+     * @param {string} content File contents
+     * @param {string} type MIME type
+     */
+    download(filename, content, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * Download the creatures' ancestry
+     * @param {string} format 'newick' for a Newick tree, or 'json' for the full graph
+     */
+    exportLineage(format) {
+        const extension = format === 'newick' ? 'nwk' : 'json';
+        
+        Promise.resolve(this.simulation.exportLineage(format))
+            .then(lineage => this.download(
+                `lineage-seed${this.simulation.seed}-gen${this.simulation.generation}.${extension}`,
+                format === 'newick' ? lineage : JSON.stringify(lineage),
+                format === 'newick' ? 'text/plain' : 'application/json'
+            ))
+            .catch(error => console.error('Failed to export lineage:', error));
+    }
+    
+    /**
+     * Redraw the lineage tree while the simulation is running and the panel is open
+     * @param {boolean} force Redraw even when paused (e.g. after a reset or load)
+     */
+    refreshLineage(force = false) {
+        if (!force && !this.simulation.running) return;
+        if (document.getElementById('lineage-panel').style.display === 'none') return;
+        
+        Promise.resolve(this.simulation.exportLineage('json'))
+            .then(graph => {
+                // Simulation species are keyed by name, a proxy's are a list; both hold name and color
+                const colors = {};
+                Object.values(this.simulation.species).forEach(species => {
+                    colors[species.name] = species.color;
+                });
+                this.lineageView.render(graph, colors);
+            })
+            .catch(error => console.error('Failed to draw lineage:', error));
+    }
+    
+    /**
+     * Restore the simulation from an uploaded snapshot file
+     * @param {File} file Snapshot file
+     */
+    loadSnapshot(file) {
+        file.text()
+            .then(text => this.simulation.deserialize(text))
+            .then(() => this.syncControls())
+            .catch(error => {
+                console.error('Failed to load snapshot:', error);
+                alert(`Could not load snapshot: ${error.message}`);
+            });
+    }
+    
+    /**
+     * Save the simulation state to localStorage while it is running
+     */
+    autosave() {
+        if (!this.simulation.running) return;
+        
+        Promise.resolve(this.simulation.serialize())
+            .then(snapshot => localStorage.setItem(App.AUTOSAVE_KEY, JSON.stringify(snapshot)))
+            .catch(error => {
+                // Usually the storage quota; large populations may not fit
+                console.warn('Autosave failed:', error);
+            });
+    }
+    
+    /**
+     * Restore the most recent autosave from localStorage
+     */
+    restoreAutosave() {
+        const snapshot = localStorage.getItem(App.AUTOSAVE_KEY);
+        if (!snapshot) {
+            alert('No autosave found');
+            return;
+        }
+        
+        Promise.resolve()
+            .then(() => this.simulation.deserialize(snapshot))
+            .then(() => this.syncControls())
+            .catch(error => {
+                console.error('Failed to restore autosave:', error);
+                alert(`Could not restore autosave: ${error.message}`);
+            });
+    }
+    
     /**
      * Resize canvas to match window dimensions
      */
@@ -85,7 +420,7 @@ class App {
         
         // If simulation exists, notify it of resize
         if (this.simulation) {
-            this.simulation.handleResize();
+            this.simulation.handleResize(this.canvas.width, this.canvas.height);
         }
     }
     
@@ -106,7 +441,7 @@ class App {
             this.testHarness.endMeasurement('simulationUpdate');
             
             this.testHarness.startMeasurement('simulationRender');
-            this.simulation.render();
+            this.renderer.render(this.simulation);
             this.testHarness.endMeasurement('simulationRender');
         }
         
@@ -134,14 +469,39 @@ class App {
         document.getElementById('stat-population').textContent = stats.population;
         document.getElementById('stat-avg-fitness').textContent = stats.averageFitness.toFixed(2);
         document.getElementById('stat-max-fitness').textContent = stats.maxFitness.toFixed(2);
-        document.getElementById('stat-resources').textContent = stats.resources;
+        document.getElementById('stat-resources').textContent = Math.round(stats.resources);
+        document.getElementById('stat-seed').textContent = stats.seed;
+        document.getElementById('stat-niches').textContent = Object.values(stats.niches)
+            .map(niches => niches.count)
+            .join(' / ');
         
         // Update FPS
         const fps = Math.round(this.testHarness.getFPS());
         document.getElementById('stat-fps').textContent = fps;
     }
+    
+    /**
+     * Whether to run the simulation in a Web Worker (requested with ?worker in the URL)
+     * @returns {boolean} True if the worker was requested and Web Workers are available
+     */
+    static useWorker() {
+        return new URLSearchParams(window.location.search).has('worker') && typeof Worker !== 'undefined';
+    }
 }
 
+// URL parameters that are app options rather than configuration overrides
+App.QUERY_FLAGS = ['worker'];
+
+// localStorage key and interval (ms) for autosaves
+App.AUTOSAVE_KEY = 'ecosystem-simulation-autosave';
+App.AUTOSAVE_INTERVAL = 30 * 1000;
+
+// Milliseconds between lineage tree redraws while running
+App.LINEAGE_REFRESH_INTERVAL = 2000;
+
+// Largest side, in cells, of a map read from an image
+App.MAP_IMAGE_SIZE = 200;
+
 // Initialize the application when the document is loaded
 document.addEventListener('DOMContentLoaded', () => {
     window.app = new App();
@@ -0,0 +1,647 @@
+/**
+ * Config class
+ * Schema, defaults and validation of the simulation settings, named presets, and parsing of
+ * overrides from JSON, URL query parameters and the UI into partial configurations
+ */
+class Config {
+    /**
+     * Create a complete configuration with every setting at its default
+     * @returns {Object} Default configuration
+     */
+    static defaults() {
+        return Config.validate({});
+    }
+    
+    /**
+     * Create a complete configuration from a preset
+     * @param {string} name Preset name (see Config.PRESETS)
+     * @returns {Object} Default configuration with the preset applied
+     */
+    static preset(name) {
+        const preset = Config.PRESETS[name];
+        if (!preset) {
+            throw new Error(`Unknown config preset: ${name} (available: ${Object.keys(Config.PRESETS).join(', ')})`);
+        }
+        
+        return Config.validate(Config.merge(Config.defaults(), preset.config));
+    }
+    
+    /**
+     * Apply partial overrides to a configuration
+     * Overrides may name a preset to start from instead of the base, and use the short
+     * names in Config.ALIASES (e.g. initialHerbivores) for common settings
+     * @param {Object} base Configuration the overrides apply to
+     * @param {Object} overrides Partial configuration (nested objects are merged, arrays replaced)
+     * @returns {Object} New validated configuration (the base is left untouched)
+     */
+    static resolve(base, overrides = {}) {
+        const { preset, ...settings } = overrides;
+        
+        // Expand aliases into nested settings
+        const expanded = {};
+        Object.entries(settings).forEach(([key, value]) => {
+            if (value === undefined) return;
+            
+            if (Config.ALIASES[key]) {
+                Config.setPath(expanded, Config.ALIASES[key], value);
+            } else {
+                expanded[key] = value;
+            }
+        });
+        
+        return Config.validate(Config.merge(preset ? Config.preset(preset) : base, expanded));
+    }
+    
+    /**
+     * Deep-merge partial configurations into a copy of a base configuration
+     * @param {Object} base Base configuration
+     * @param {...Object} overrides Partial configurations, applied in order
+     * @returns {Object} Merged copy
+     */
+    static merge(base, ...overrides) {
+        const result = Config.clone(base);
+        
+        overrides.forEach(override => {
+            Object.entries(override).forEach(([key, value]) => {
+                if (value === undefined) return;
+                
+                result[key] = Config.isPlainObject(value) && Config.isPlainObject(result[key])
+                    ? Config.merge(result[key], value)
+                    : Config.clone(value);
+            });
+        });
+        
+        return result;
+    }
+    
+    /**
+     * Check a configuration against the schema and fill in missing settings with their defaults
+     * @param {Object} config Complete or partial configuration
+     * @returns {Object} New complete configuration
+     */
+    static validate(config) {
+        return Config.validateObject(config, Config.SCHEMA, '');
+    }
+    
+    /**
+     * Check a single setting against the schema
+     * @param {string} path Dotted setting path (e.g. 'ecologyConfig.biteSize')
+     * @param {*} value Value to check
+     * @returns {*} Validated value (with defaults filled in for objects)
+     */
+    static validateSetting(path, value) {
+        return Config.validateValue(value, Config.schemaAt(path), path);
+    }
+    
+    /**
+     * Read partial overrides from URL query parameters
+     * Keys are dotted setting paths (?ecologyConfig.biteSize=3), or an alias or 'preset';
+     * values are parsed by the type of the setting (arrays are comma-separated)
+     * @param {string} search Query string (e.g. window.location.search)
+     * @param {Array} ignore Parameters that are not settings (e.g. ['worker'])
+     * @returns {Object} Partial configuration
+     */
+    static fromQuery(search, ignore = []) {
+        const overrides = {};
+        
+        new URLSearchParams(search).forEach((text, key) => {
+            if (ignore.includes(key)) return;
+            
+            if (key === 'preset') {
+                overrides.preset = text;
+                return;
+            }
+            
+            const path = Config.ALIASES[key] || key;
+            Config.setPath(overrides, path, Config.parseValue(path, text));
+        });
+        
+        return overrides;
+    }
+    
+    /**
+     * Parse overrides from JSON text, such as an uploaded config file
+     * @param {string} text JSON object with a partial configuration (and optionally a preset)
+     * @returns {Object} Partial configuration
+     */
+    static fromJSON(text) {
+        const overrides = JSON.parse(text);
+        if (!Config.isPlainObject(overrides)) {
+            throw new Error('Config file must contain a JSON object');
+        }
+        
+        return overrides;
+    }
+    
+    /**
+     * Parse the text form of a setting (from a URL or form field) by its schema type
+     * @param {string} path Dotted setting path
+     * @param {string} text Text to parse
+     * @returns {*} Parsed value
+     */
+    static parseValue(path, text) {
+        const schema = Config.schemaAt(path);
+        
+        const parse = (spec, raw) => {
+            switch (spec.type) {
+                case 'number':
+                case 'integer':
+                    if (spec.nullable && (raw === '' || raw === 'null')) return null;
+                    return raw.trim() === '' ? NaN : Number(raw);
+                case 'boolean':
+                    return raw === 'true' || raw === '1' || raw === '';
+                case 'seed':
+                    return raw === '' || raw === 'null' ? null : (/^\d+$/.test(raw) ? parseInt(raw, 10) : raw);
+                case 'array':
+                    return raw === '' ? [] : raw.split(',').map(item => parse(spec.items, item));
+                case 'object':
+                case 'map':
+                    return JSON.parse(raw);
+                case 'any':
+                    return isFinite(Number(raw)) && raw.trim() !== '' ? Number(raw) : raw;
+                default:
+                    return raw;
+            }
+        };
+        
+        return Config.validateValue(parse(schema, text), schema, path);
+    }
+    
+    /**
+     * Find the schema of a setting
+     * @param {string} path Dotted setting path
+     * @returns {Object} Setting schema
+     */
+    static schemaAt(path) {
+        let schema = { type: 'object', properties: Config.SCHEMA };
+        
+        path.split('.').forEach((key, i, keys) => {
+            if (schema.type === 'object' && schema.properties && schema.properties[key]) {
+                schema = schema.properties[key];
+            } else if (schema.type === 'object' && schema.additional) {
+                schema = { type: 'any' };
+            } else if (schema.type === 'map') {
+                schema = schema.entry;
+            } else {
+                throw new Error(`Unknown setting: ${keys.slice(0, i + 1).join('.')}`);
+            }
+        });
+        
+        return schema;
+    }
+    
+    /**
+     * Validate an object against its property schemas
+     * @param {Object} value Object to check
+     * @param {Object} properties Schema of each property
+     * @param {string} path Path of the object, for error messages
+     * @param {boolean} additional Whether properties outside the schema are allowed (and copied as is)
+     * @returns {Object} Validated copy with defaults filled in
+     */
+    static validateObject(value, properties, path, additional = false) {
+        if (!Config.isPlainObject(value)) {
+            throw new Error(`Invalid setting ${path || 'config'}: expected an object, got ${JSON.stringify(value)}`);
+        }
+        
+        const result = {};
+        Object.keys(value).forEach(key => {
+            if (properties[key]) return;
+            
+            if (!additional) {
+                throw new Error(`Unknown setting: ${path ? `${path}.${key}` : key}`);
+            }
+            result[key] = Config.clone(value[key]);
+        });
+        
+        Object.entries(properties).forEach(([key, schema]) => {
+            const settingPath = path ? `${path}.${key}` : key;
+            
+            if (value[key] !== undefined) {
+                result[key] = Config.validateValue(value[key], schema, settingPath);
+            } else if (!schema.optional) {
+                result[key] = Config.validateValue(Config.defaultOf(schema), schema, settingPath);
+            }
+        });
+        
+        return result;
+    }
+    
+    /**
+     * Validate a value against a setting schema
+     * @param {*} value Value to check
+     * @param {Object} schema Setting schema
+     * @param {string} path Setting path, for error messages
+     * @returns {*} Validated value (copied for objects and arrays)
+     */
+    static validateValue(value, schema, path) {
+        const fail = expected => {
+            const shown = typeof value === 'number' ? String(value) : JSON.stringify(value);
+            throw new Error(`Invalid setting ${path}: expected ${expected}, got ${shown}`);
+        };
+        
+        if (value === null && schema.nullable) {
+            return null;
+        }
+        
+        switch (schema.type) {
+            case 'number':
+            case 'integer': {
+                const kind = schema.type === 'integer' ? 'an integer' : 'a number';
+                if (typeof value !== 'number' || !isFinite(value) || (schema.type === 'integer' && !Number.isInteger(value))) {
+                    fail(kind);
+                }
+                if (schema.min !== undefined && value < schema.min) fail(`${kind} of at least ${schema.min}`);
+                if (schema.max !== undefined && value > schema.max) fail(`${kind} of at most ${schema.max}`);
+                return value;
+            }
+            case 'boolean':
+                if (typeof value !== 'boolean') fail('true or false');
+                return value;
+            case 'string':
+                if (typeof value !== 'string' || value.length === 0) fail('a non-empty string');
+                return value;
+            case 'enum':
+                if (!schema.values.includes(value)) fail(`one of ${schema.values.join(', ')}`);
+                return value;
+            case 'seed':
+                if (value !== null && typeof value !== 'string' && !(typeof value === 'number' && isFinite(value))) {
+                    fail('a number, a string or null');
+                }
+                return value;
+            case 'array':
+                if (!Array.isArray(value)) fail('an array');
+                if (schema.minLength !== undefined && value.length < schema.minLength) {
+                    fail(`an array of at least ${schema.minLength} items`);
+                }
+                return value.map((item, i) => Config.validateValue(item, schema.items, `${path}[${i}]`));
+            case 'map': {
+                if (!Config.isPlainObject(value)) fail('an object');
+                const result = {};
+                Object.entries(value).forEach(([key, entry]) => {
+                    result[key] = Config.validateValue(entry, schema.entry, `${path}.${key}`);
+                });
+                return result;
+            }
+            case 'any':
+                return Config.clone(value);
+            case 'object':
+                if (!schema.properties) {
+                    // Free-form object passed through as is
+                    if (!Config.isPlainObject(value)) fail('an object');
+                    return Config.clone(value);
+                }
+                return Config.validateObject(value, schema.properties, path, schema.additional);
+            default:
+                throw new Error(`Unknown setting type for ${path}: ${schema.type}`);
+        }
+    }
+    
+    /**
+     * Default value of a setting
+     * @param {Object} schema Setting schema
+     * @returns {*} Copy of the default (objects without one are built from their properties)
+     */
+    static defaultOf(schema) {
+        if (schema.default !== undefined) {
+            return Config.clone(schema.default);
+        }
+        
+        return schema.type === 'object' || schema.type === 'map' ? {} : undefined;
+    }
+    
+    /**
+     * Set a nested value, creating the objects along the path
+     * @param {Object} target Object to modify
+     * @param {string} path Dotted path
+     * @param {*} value Value to set
+     */
+    static setPath(target, path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        keys.forEach(key => {
+            if (!Config.isPlainObject(target[key])) {
+                target[key] = {};
+            }
+            target = target[key];
+        });
+        target[last] = value;
+    }
+    
+    /**
+     * Deep copy of a JSON-friendly value
+     * @param {*} value Value to copy
+     * @returns {*} Copy
+     */
+    static clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+    
+    /**
+     * Check for a plain object (not an array or null)
+     * @param {*} value Value to check
+     * @returns {boolean} True for plain objects
+     */
+    static isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+}
+
+// Side length of each named environment size (square unless an aspect ratio is set)
+Config.ENVIRONMENT_SIZES = {
+    small: 500,
+    medium: 1000,
+    large: 2000
+};
+
+// Body, sensing and brain settings of a species
+Config.SPECIES_SCHEMA = {
+    type: 'object',
+    properties: {
+        initialCount: { type: 'integer', min: 0, max: 10000, default: 0, description: 'Creatures per generation' },
+        eatsPlants: { type: 'boolean', default: true },
+        prey: { type: 'array', items: { type: 'string' }, default: [], description: 'Names of species this species hunts' },
+        color: { type: 'string', default: '#39f' },
+        size: { type: 'number', min: 0.5, max: 50, default: 3, description: 'Default body radius' },
+        maxSpeed: { type: 'number', min: 0, max: 50, default: 2, description: 'Default movement per tick' },
+        maxTurnRate: { type: 'number', min: 0, max: Math.PI, default: 0.2, description: 'Turn per tick in radians' },
+        metabolism: { type: 'number', min: 0, max: 10, default: 0.1, description: 'Default energy burned per tick' },
+        sensorRange: { type: 'number', min: 1, max: 5000, default: 150 },
+        sensors: { type: 'array', items: { type: 'string' }, minLength: 1, optional: true, description: 'Sensor channels (see Sensors)' },
+        outputs: { type: 'array', items: { type: 'string' }, minLength: 1, optional: true, description: 'Actuator outputs (see Actuators)' },
+        
+        // Per-species overrides of the shared brain settings
+        brainType: { type: 'enum', values: ['layered', 'neat'], optional: true },
+        hiddenLayers: { type: 'array', items: { type: 'integer', min: 1 }, optional: true },
+        activation: { type: 'string', optional: true },
+        outputActivations: { type: 'object', optional: true }
+    }
+};
+
+// Every setting: its type, bounds and default
+Config.SCHEMA = {
+    environmentSize: {
+        type: 'enum',
+        values: [...Object.keys(Config.ENVIRONMENT_SIZES), 'custom', 'window'],
+        default: 'medium',
+        description: "A named size, 'custom' (environmentWidth by environmentHeight) or 'window' (fit to the window)"
+    },
+    environmentWidth: { type: 'number', min: 100, max: 20000, default: 1000, description: 'Width of a custom environment' },
+    environmentHeight: { type: 'number', min: 100, max: 20000, default: 1000, description: 'Height of a custom environment' },
+    aspectRatio: {
+        type: 'number',
+        min: 0.1,
+        max: 10,
+        nullable: true,
+        default: null,
+        description: 'Width / height; stretches named sizes (keeping their area) and sets the height of custom ones'
+    },
+    seed: { type: 'seed', default: null, description: 'null picks a new random seed on every reset' },
+    initialPlantCount: { type: 'integer', min: 0, max: 100000, default: 100 },
+    evolutionMode: { type: 'enum', values: ['generational', 'continuous'], default: 'generational' },
+    generationLength: { type: 'number', min: 1000, default: 60 * 1000, description: 'Simulated ms per generation' },
+    tickRate: { type: 'number', min: 1, max: 1000, default: 60, description: 'Simulation ticks per simulated second' },
+    maxFrameTime: { type: 'number', min: 1, default: 250, description: 'Longest real frame time fed to the loop (ms)' },
+    maxTicksPerFrame: { type: 'integer', min: 1, default: 60, description: 'Spiral-of-death guard' },
+    mutationRate: { type: 'number', min: 0, max: 1, default: 0.1 },
+    geneticAlgorithmConfig: {
+        type: 'object',
+        properties: {
+            selectionMethod: { type: 'enum', values: ['tournament', 'roulette', 'rank'], default: 'tournament' },
+            elitism: { type: 'integer', min: 0, default: 2 },
+            tournamentSize: { type: 'integer', min: 1, default: 3 },
+            crossoverRate: { type: 'number', min: 0, max: 1, default: 0.7 },
+            mutationAmount: { type: 'number', min: 0, default: 0.5 }
+        }
+    },
+    neuralNetworkConfig: {
+        type: 'object',
+        properties: {
+            type: { type: 'enum', values: ['layered', 'neat'], default: 'layered', description: 'Fixed hiddenLayers, or NEAT topology evolution' },
+            hiddenLayers: { type: 'array', items: { type: 'integer', min: 1 }, default: [8, 6] },
+            activation: { type: 'string', default: 'leakyReLU' },
+            neat: {
+                type: 'object',
+                properties: {
+                    // Chance per offspring of each structural mutation
+                    mutationRates: {
+                        type: 'object',
+                        properties: {
+                            addConnection: { type: 'number', min: 0, max: 1, default: 0.1 },
+                            addNode: { type: 'number', min: 0, max: 1, default: 0.05 },
+                            removeConnection: { type: 'number', min: 0, max: 1, default: 0.02 },
+                            removeNode: { type: 'number', min: 0, max: 1, default: 0.01 }
+                        }
+                    },
+                    // Weights of the compatibility distance terms
+                    compatibility: {
+                        type: 'object',
+                        properties: {
+                            excess: { type: 'number', min: 0, default: 1 },
+                            disjoint: { type: 'number', min: 0, default: 1 },
+                            weight: { type: 'number', min: 0, default: 0.4 }
+                        }
+                    }
+                }
+            }
+        }
+    },
+    speciationConfig: {
+        type: 'object',
+        properties: {
+            enabled: { type: 'boolean', default: true, description: 'Cluster brains into niches and share fitness within them' },
+            threshold: { type: 'number', min: 0, default: 0.25, description: 'Starting brain difference below which creatures share a niche' },
+            targetNiches: { type: 'integer', min: 1, default: 4, description: 'Niches per species the threshold adapts towards' },
+            thresholdAdjustment: { type: 'number', min: 0, max: 1, default: 0.1, description: 'Fraction the threshold moves by after each census' },
+            minThreshold: { type: 'number', min: 0, default: 0.01 }
+        }
+    },
+    lineageConfig: {
+        type: 'object',
+        properties: {
+            historyLength: {
+                type: 'integer',
+                min: 1,
+                nullable: true,
+                default: null,
+                description: 'Generations of dead ancestors kept; older ones are dropped and their descendants become roots (null keeps all)'
+            }
+        }
+    },
+    spatialIndexConfig: {
+        type: 'object',
+        properties: {
+            type: { type: 'string', default: 'grid', description: 'Registered index type (see SpatialIndex.TYPES)' },
+            cellSize: { type: 'number', min: 1, default: 100, description: 'Grid cell side length' },
+            maxItems: { type: 'integer', min: 1, default: 16, description: 'Quadtree entities per node before splitting' },
+            maxDepth: { type: 'integer', min: 1, max: 32, default: 8, description: 'Quadtree depth limit' }
+        }
+    },
+    speciesConfig: {
+        type: 'map',
+        entry: Config.SPECIES_SCHEMA,
+        default: {
+            herbivore: {
+                initialCount: 40,
+                eatsPlants: true,
+                prey: [],
+                color: '#39f',
+                size: 3,
+                maxSpeed: 2,
+                maxTurnRate: 0.2,
+                metabolism: 0.1,
+                sensorRange: 150,
+                sensors: [
+                    'foodDistance', 'foodAngle', 'threatDistance', 'threatAngle', 'energy',
+                    'wallAhead', 'wallProximity', 'speed', 'foodDensity', 'bias'
+                ],
+                outputs: ['turn', 'thrust', 'eat', 'reproduce']
+            },
+            carnivore: {
+                // Faster and bigger hunters that pay for it with a higher metabolism
+                initialCount: 10,
+                eatsPlants: false,
+                prey: ['herbivore'],
+                color: '#f55',
+                size: 4,
+                maxSpeed: 2.6,
+                maxTurnRate: 0.15,
+                metabolism: 0.15,
+                sensorRange: 200,
+                sensors: [
+                    'foodDistance', 'foodAngle', 'foodHeading', 'kinDistance', 'kinAngle',
+                    'energy', 'wallAhead', 'wallProximity', 'speed', 'bias'
+                ],
+                outputs: ['turn', 'thrust', 'eat', 'reproduce']
+            }
+        }
+    },
+    reproductionConfig: {
+        // Used in continuous mode, where creatures breed during the run
+        type: 'object',
+        properties: {
+            energyThreshold: { type: 'number', min: 0, default: 150 },
+            offspringEnergyShare: { type: 'number', min: 0, max: 1, default: 0.5 },
+            sexual: { type: 'boolean', default: true },
+            mateRange: { type: 'number', min: 0, default: 30 },
+            cooldown: { type: 'number', min: 0, default: 120 },
+            populationCap: { type: 'integer', min: 1, default: 300 },
+            graveyardSize: { type: 'integer', min: 0, default: 100 }
+        }
+    },
+    ecologyConfig: {
+        type: 'object',
+        properties: {
+            initialCreatureEnergy: { type: 'number', min: 0, default: 100, description: 'Energy of creatures created at the start of a generation' },
+            biteSize: { type: 'number', min: 0, default: 5 },
+            meatEfficiency: { type: 'number', min: 0, max: 1, default: 0.8 },
+            maxCreatureEnergy: { type: 'number', min: 1, default: 200 },
+            soilNutrients: { type: 'number', min: 0, default: 30000, description: 'Nutrients in the world; creatures and plants are made of them' },
+            nutrientCellSize: { type: 'number', min: 5, max: 1000, default: 100, description: 'Side length of a soil nutrient cell' },
+            nutrientDiffusion: { type: 'number', min: 0, max: 0.25, default: 0.01, description: 'Fraction of the difference between neighbouring cells that evens out per tick' }
+        }
+    },
+    plantConfig: {
+        type: 'object',
+        properties: {
+            initialEnergy: { type: 'number', min: 0, default: 50 },
+            maxEnergy: { type: 'number', min: 0, default: 100 },
+            growthRate: { type: 'number', min: 0, default: 0.05, description: 'Nutrients drawn from the soil per tick on grassland' },
+            upkeep: { type: 'number', min: 0, default: 0.01, description: 'Energy returned to the soil per tick; plants on exhausted soil wither' },
+            radius: { type: 'number', min: 0.5, default: 2 },
+            seedThreshold: { type: 'number', min: 0, max: 1, default: 0.8, description: 'Fraction of full growth a plant needs to seed' },
+            seedRate: { type: 'number', min: 0, max: 1, default: 0.002, description: 'Chance per tick that a grown plant seeds' },
+            seedEnergy: { type: 'number', min: 0, default: 20, description: 'Energy a parent plant gives each seedling' },
+            seedRange: { type: 'number', min: 0, default: 40, description: 'Farthest a seed lands from its parent' },
+            spawnRate: { type: 'number', min: 0, max: 1, default: 0.02, description: 'Chance per tick of a plant sprouting from the soil when it holds all its starting nutrients' },
+            maxPlants: { type: 'integer', min: 0, max: 100000, default: 200, description: 'Most plants at once; keep it low enough that plants cannot lock away all the nutrients' }
+        }
+    },
+    terrainConfig: {
+        type: 'object',
+        properties: {
+            source: {
+                type: 'enum',
+                values: ['generated', 'flat', 'map'],
+                default: 'generated',
+                description: 'Terrain from seeded noise, plain grassland, or the loaded map'
+            },
+            cellSize: { type: 'number', min: 5, max: 1000, default: 25, description: 'Side length of a generated terrain cell' },
+            noiseScale: { type: 'number', min: 1, default: 300, description: 'Size of generated landforms' },
+            octaves: { type: 'integer', min: 1, max: 8, default: 4, description: 'Noise octaves (more adds finer detail)' },
+            waterFraction: { type: 'number', min: 0, max: 1, default: 0.15, description: 'Fraction of generated cells that are water' },
+            rockFraction: { type: 'number', min: 0, max: 1, default: 0.1, description: 'Fraction of generated cells that are rock' },
+            desertFraction: { type: 'number', min: 0, max: 1, default: 0.25, description: 'Fraction of the remaining land that is desert' },
+            obstacleCount: { type: 'integer', min: 0, max: 1000, default: 6, description: 'Generated obstacles, placed on rock' },
+            obstacleSize: { type: 'number', min: 1, default: 40, description: 'Largest generated obstacle radius' },
+            map: { type: 'object', nullable: true, default: null, description: "Map used by the 'map' source (see Environment.parseMap)" }
+        }
+    },
+    fitnessConfig: {
+        // Other settings are passed to the fitness function as options
+        type: 'object',
+        additional: true,
+        properties: {
+            function: { type: 'string', default: 'weighted', description: 'Registered fitness function (see Fitness.register)' },
+            weights: {
+                type: 'map',
+                entry: { type: 'number' },
+                default: { energy: 1, survival: 0.01 },
+                description: "Components of the 'weighted' function by name"
+            }
+        }
+    }
+};
+
+// Short names for common settings, accepted by reset() and in URLs
+Config.ALIASES = {
+    initialPlants: 'initialPlantCount',
+    initialHerbivores: 'speciesConfig.herbivore.initialCount',
+    initialCarnivores: 'speciesConfig.carnivore.initialCount'
+};
+
+// Named starting points, applied over the defaults
+Config.PRESETS = {
+    'sandbox': {
+        label: 'Small sandbox',
+        config: {
+            environmentSize: 'small',
+            initialPlantCount: 40,
+            generationLength: 30 * 1000,
+            speciesConfig: {
+                herbivore: { initialCount: 15 },
+                carnivore: { initialCount: 3 }
+            },
+            reproductionConfig: { populationCap: 80 },
+            ecologyConfig: { soilNutrients: 12000 },
+            plantConfig: { maxPlants: 80 }
+        }
+    },
+    'predator-prey': {
+        label: 'Predator-prey',
+        config: {
+            evolutionMode: 'continuous',
+            initialPlantCount: 150,
+            speciesConfig: {
+                herbivore: { initialCount: 60 },
+                carnivore: { initialCount: 15 }
+            },
+            ecologyConfig: { soilNutrients: 45000 },
+            plantConfig: { maxPlants: 300 },
+            fitnessConfig: { weights: { energy: 1, survival: 0.01, offspring: 20, prey: 10 } }
+        }
+    },
+    'benchmark': {
+        label: 'Benchmark',
+        config: {
+            seed: 1,
+            environmentSize: 'large',
+            initialPlantCount: 500,
+            speciesConfig: {
+                herbivore: { initialCount: 200 },
+                carnivore: { initialCount: 50 }
+            },
+            ecologyConfig: { soilNutrients: 150000 },
+            plantConfig: { maxPlants: 1000 }
+        }
+    }
+};
\ No newline at end of file
@@ -0,0 +1,149 @@
+/**
+ * Headless Runner class
+ * Runs a simulation as fast as possible without rendering and records the results
+ */
+class HeadlessRunner {
+    /**
+     * Initialize the runner
+     * @param {Simulation} simulation Simulation to run
+     * @param {Object} options Configuration options
+     * @param {number} options.bestGenomeCount Number of best genomes to keep across the run
+     * @param {number} options.maxTicks Safety limit on the total number of ticks
+     */
+    constructor(simulation, options = {}) {
+        this.simulation = simulation;
+        this.bestGenomeCount = options.bestGenomeCount !== undefined ? options.bestGenomeCount : 10;
+        this.maxTicks = options.maxTicks || Infinity;
+        this.generations = [];
+        this.bestGenomes = [];
+        
+        this.simulation.addEventListener('generation', this.recordGeneration.bind(this));
+    }
+    
+    /**
+     * Run the simulation for a number of generations
+     * In continuous mode a "generation" is one generationLength of simulated time
+     * @param {number} generationCount Number of generations to run
+     * @param {Function} onGeneration Optional callback receiving each generation summary
+     * @returns {Object} Run results (see getResults)
+     */
+    run(generationCount, onGeneration = null) {
+        const simulation = this.simulation;
+        const ticksPerGeneration = Math.ceil(simulation.config.generationLength / simulation.tickDuration);
+        const startTime = Date.now();
+        let reported = this.generations.length;
+        let ticks = 0;
+        
+        while (this.generations.length < generationCount && ticks < this.maxTicks) {
+            simulation.tick();
+            ticks++;
+            
+            // Continuous runs never end a generation, so sample them on a timer instead
+            if (simulation.config.evolutionMode === 'continuous' && ticks % ticksPerGeneration === 0) {
+                this.recordGeneration({
+                    generation: this.generations.length,
+                    population: [...simulation.creatures, ...simulation.deceased]
+                });
+            }
+            
+            if (onGeneration) {
+                while (reported < this.generations.length) {
+                    onGeneration(this.generations[reported++]);
+                }
+            }
+        }
+        
+        this.elapsedMs = Date.now() - startTime;
+        return this.getResults();
+    }
+    
+    /**
+     * Summarize a finished generation and keep its best genomes
+     * @param {Object} event Generation event ({ generation, population })
+     */
+    recordGeneration(event) {
+        const population = event.population;
+        const summary = {
+            generation: event.generation,
+            tick: this.simulation.tickCount,
+            ...HeadlessRunner.summarize(population),
+            resources: this.simulation.environment.nutrients.total,
+            lineageRecords: this.simulation.lineage.size,
+            species: {}
+        };
+        
+        Object.keys(this.simulation.species).forEach(name => {
+            const members = population.filter(creature => creature.species.name === name);
+            summary.species[name] = {
+                ...HeadlessRunner.summarize(members),
+                niches: this.simulation.species[name].speciation.getStats()
+            };
+        });
+        
+        this.generations.push(summary);
+        this.updateBestGenomes(population, event.generation);
+    }
+    
+    /**
+     * Merge a generation's fittest creatures into the best genomes of the run
+     * @param {Array} population Evaluated creatures
+     * @param {number} generation Generation number
+     */
+    updateBestGenomes(population, generation) {
+        const candidates = [...population]
+            .sort((a, b) => b.fitness - a.fitness)
+            .slice(0, this.bestGenomeCount)
+            .map(creature => ({
+                generation,
+                id: creature.id,
+                species: creature.species.name,
+                fitness: creature.fitness,
+                events: { ...creature.events },
+                brain: creature.brain.toJSON(),
+                body: creature.genome.toJSON()
+            }));
+        
+        this.bestGenomes = [...this.bestGenomes, ...candidates]
+            .sort((a, b) => b.fitness - a.fitness)
+            .slice(0, this.bestGenomeCount);
+    }
+    
+    /**
+     * Collect everything recorded so far
+     * @returns {Object} Seed, configuration, per-generation stats and best genomes
+     */
+    getResults() {
+        return {
+            seed: this.simulation.seed,
+            config: this.simulation.config,
+            ticks: this.simulation.tickCount,
+            elapsedMs: this.elapsedMs || 0,
+            generations: this.generations,
+            bestGenomes: this.bestGenomes
+        };
+    }
+    
+    /**
+     * Population size and fitness statistics for a group of creatures
+     * @param {Array} creatures Creatures to summarize
+     * @returns {Object} Summary ({ population, survivors, averageFitness, maxFitness })
+     */
+    static summarize(creatures) {
+        let totalFitness = 0;
+        let maxFitness = 0;
+        let survivors = 0;
+        
+        creatures.forEach(creature => {
+            totalFitness += creature.fitness;
+            maxFitness = Math.max(maxFitness, creature.fitness);
+            if (creature.alive) survivors++;
+        });
+        
+        return {
+            population: creatures.length,
+            survivors,
+            averageFitness: creatures.length > 0 ? totalFitness / creatures.length : 0,
+            maxFitness
+        };
+    }
+}
\ No newline at end of file
@@ -1,49 +1,50 @@
 /**
  * Core Simulation class
  * Controls the overall simulation loop and coordinates components
+ * Has no DOM or canvas dependencies, so it also runs headless under Node.js
  */
 class Simulation {
     /**
      * Initialize the simulation
-     * @param {HTMLCanvasElement} canvas Canvas element for rendering
-     * @param {TestHarness} testHarness Performance testing harness
+     * @param {TestHarness} testHarness Performance testing harness (optional)
+     * @param {Object} config Configuration to start with (see Config.resolve; the defaults if omitted)
      */
-    constructor(canvas, testHarness) {
-        this.canvas = canvas;
-        this.ctx = canvas.getContext('2d');
+    constructor(testHarness = null, config = null) {
         this.testHarness = testHarness;
+        this.listeners = {};
+        
+        // Packed brains by network architecture (see evaluateBrains)
+        this.brainBatches = new Map();
         
         // Simulation state
         this.running = false;
         this.speed = 1;
         this.generation = 0;
         this.timeSinceLastUpdate = 0;
-        this.timeScale = 1000 / 60; // 60 fps target
+        
+        // Fixed-timestep loop state
+        this.accumulator = 0; // Simulated time not yet consumed by ticks (ms)
+        this.interpolation = 0; // Fraction of a tick to blend positions by when rendering
+        this.tickCount = 0;
+        this.droppedTicks = 0;
         
         // Performance metrics
         this.frameCount = 0;
         this.lastFrameTime = performance.now();
+        this.fpsWindowStart = this.lastFrameTime;
         this.fps = 0;
         
+        // Window size for the 'window' environment size (see handleResize)
+        this.viewport = null;
+        
         // Simulation components (to be initialized)
         this.environment = null; 
         this.creatures = [];
         this.plants = [];
+        this.deceased = []; // Creatures that died during the current generation
         
-        // Initialize configuration
-        this.config = {
-            environmentSize: 'medium',
-            initialCreatureCount: 50,
-            initialPlantCount: 100,
-            generationLength: 60 * 1000, // 1 minute in ms
-            mutationRate: 0.1,
-            neuralNetworkConfig: {
-                inputSize: 10,
-                hiddenLayers: [8, 6],
-                outputSize: 4,
-                activation: 'leakyReLU'
-            }
-        };
+        // Initialize configuration (see Config.SCHEMA for every setting)
+        this.config = config ? Config.validate(config) : Config.defaults();
         
         // Initialize components
         this.init();
@@ -53,17 +54,29 @@ class Simulation {
      * Initialize simulation components
      */
     init() {
+        // Create seeded random number streams so runs can be replayed
+        this.createRandomStreams();
+        
         // Create test networks for performance testing
         this.createTestNetworks();
         
-        // Create environment based on canvas size and config
-        this.environment = {
-            width: this.getEnvironmentWidth(),
-            height: this.getEnvironmentHeight(),
-            resources: 1000
-        };
+        // Create genetic algorithm used between generations
+        this.createGeneticAlgorithm();
+        
+        // Create the fitness measure selection is driven by
+        this.createFitness();
+        
+        // Create species with their own senses, actions and bodies
+        this.createSpecies();
+        
+        // Create environment based on config
+        this.environment = this.createEnvironment();
+        
+        // Create the indexes used for neighbour queries
+        this.createSpatialIndexes();
         
-        // Initialize entities
+        // Initialize entities, numbered from the start like after a reset
+        Entity.nextId = 1;
         this.initializeEntities();
         
         console.log('Simulation initialized');
@@ -73,63 +86,251 @@ class Simulation {
      * Create test neural networks for performance measurements
      */
     createTestNetworks() {
+        // Nothing to measure without a harness (e.g. headless runs)
+        if (!this.testHarness) return;
+        
         // Create a standard neural network for testing
-        this.standardNetwork = new NeuralNetwork(100, [50, 20], 10);
+        this.standardNetwork = new NeuralNetwork({
+            inputSize: 100,
+            hiddenLayers: [50, 20],
+            outputSize: 10
+        });
         
         // Test network performance
         this.testHarness.testNeuralNetworkPerformance(this.standardNetwork);
     }
     
+    /**
+     * Register a listener for simulation events ('update', 'generation')
+     * @param {string} type Event type
+     * @param {Function} listener Callback receiving the event data
+     */
+    addEventListener(type, listener) {
+        if (!this.listeners[type]) {
+            this.listeners[type] = [];
+        }
+        this.listeners[type].push(listener);
+    }
+    
+    /**
+     * Remove a previously registered listener
+     * @param {string} type Event type
+     * @param {Function} listener Callback to remove
+     */
+    removeEventListener(type, listener) {
+        if (!this.listeners[type]) return;
+        this.listeners[type] = this.listeners[type].filter(existing => existing !== listener);
+    }
+    
+    /**
+     * Notify listeners of an event
+     * @param {string} type Event type
+     * @param {Object} data Event data
+     */
+    dispatchEvent(type, data) {
+        (this.listeners[type] || []).forEach(listener => listener(data));
+    }
+    
+    /**
+     * Create the seeded random number streams
+     * Separate streams keep world events, brain initialization and mutation
+     * independent, so a change in one does not shift the others
+     */
+    createRandomStreams() {
+        this.seed = this.config.seed !== null ? Random.normalizeSeed(this.config.seed) : Random.randomSeed();
+        this.random = Random.createStreams(this.seed, ['world', 'brains', 'mutation', 'terrain']);
+    }
+    
+    /**
+     * Create the genetic algorithm from the current configuration
+     */
+    createGeneticAlgorithm() {
+        this.geneticAlgorithm = new GeneticAlgorithm({
+            ...this.config.geneticAlgorithmConfig,
+            mutationRate: this.config.mutationRate,
+            random: this.random.mutation
+        });
+    }
+    
+    /**
+     * Create the fitness measure creatures are scored with
+     */
+    createFitness() {
+        this.fitness = new Fitness(this.config.fitnessConfig);
+    }
+    
+    /**
+     * Create the environment from the current configuration, with terrain from its source
+     * and the soil's nutrients spread over it by fertility
+     * @returns {Environment} New environment
+     */
+    createEnvironment() {
+        const { width, height } = this.getEnvironmentDimensions();
+        const ecology = this.config.ecologyConfig;
+        const environment = new Environment(width, height, { nutrientCellSize: ecology.nutrientCellSize });
+        const terrain = this.config.terrainConfig;
+        
+        if (terrain.source === 'generated') {
+            environment.generate(this.random.terrain, terrain);
+        } else if (terrain.source === 'map') {
+            environment.loadMap(terrain.map);
+        }
+        
+        environment.nutrients.distribute(ecology.soilNutrients, (x, y) => environment.growthAt(x, y));
+        return environment;
+    }
+    
+    /**
+     * Create the creature and plant spatial indexes for the current environment size
+     * They are rebuilt at the start of every tick, so they start out empty
+     */
+    createSpatialIndexes() {
+        const { type, ...options } = this.config.spatialIndexConfig;
+        
+        this.creatureIndex = SpatialIndex.create(type, this.environment.width, this.environment.height, options);
+        this.plantIndex = SpatialIndex.create(type, this.environment.width, this.environment.height, options);
+        this.maxEntityRadius = 0;
+    }
+    
+    /**
+     * Create the species from the current configuration
+     */
+    createSpecies() {
+        this.species = {};
+        
+        Object.entries(this.config.speciesConfig).forEach(([name, speciesConfig]) => {
+            this.species[name] = new Species(name, {
+                brainType: this.config.neuralNetworkConfig.type,
+                hiddenLayers: this.config.neuralNetworkConfig.hiddenLayers,
+                activation: this.config.neuralNetworkConfig.activation,
+                neat: this.config.neuralNetworkConfig.neat,
+                speciation: this.config.speciationConfig,
+                ...speciesConfig
+            });
+        });
+        
+        // Make sure every prey reference points at a real species
+        Object.values(this.species).forEach(species => {
+            species.prey.forEach(preyName => {
+                if (!this.species[preyName]) {
+                    throw new Error(`Species '${species.name}' hunts unknown species '${preyName}'`);
+                }
+            });
+        });
+    }
+    
     /**
      * Initialize simulation entities
      */
     initializeEntities() {
-        // Placeholder for entity initialization
-        this.creatures = Array(this.config.initialCreatureCount).fill().map(() => ({
-            x: Math.random() * this.environment.width,
-            y: Math.random() * this.environment.height,
-            energy: 100,
-            age: 0,
-            fitness: 0,
-            network: new NeuralNetwork(
-                this.config.neuralNetworkConfig.inputSize, 
-                this.config.neuralNetworkConfig.hiddenLayers, 
-                this.config.neuralNetworkConfig.outputSize,
-                this.config.neuralNetworkConfig.activation
-            )
-        }));
-        
-        this.plants = Array(this.config.initialPlantCount).fill().map(() => ({
-            x: Math.random() * this.environment.width,
-            y: Math.random() * this.environment.height,
-            energy: 50
-        }));
-    }
-    
-    /**
-     * Get environment width based on configuration
-     * @returns {number} Width in pixels
-     */
-    getEnvironmentWidth() {
-        const sizeMap = {
-            small: 500,
-            medium: 1000,
-            large: 2000
-        };
-        return sizeMap[this.config.environmentSize] || 1000;
+        this.deceased = [];
+        this.creatures = [];
+        this.lineage = new Lineage(null, this.config.lineageConfig);
+        Object.values(this.species).forEach(species => {
+            for (let i = 0; i < species.initialCount; i++) {
+                const creature = this.createCreature(species);
+                this.lineage.record(creature);
+                this.creatures.push(creature);
+            }
+        });
+        
+        // Plants only start where they can grow, on the soil beneath them
+        this.plants = [];
+        for (let i = 0; i < this.config.initialPlantCount; i++) {
+            this.sproutPlant();
+        }
+    }
+    
+    /**
+     * Create a creature
+     * @param {Species} species Species of the creature
+     * @param {NeuralNetwork|NEATGenome} brain Brain to use (a new random brain if omitted)
+     * @param {Object} position Birth position ({ x, y }, a random one clear of obstacles if omitted)
+     * @param {BodyGenome} genome Body to use (the species default body if omitted)
+     * @param {number} energy Starting energy (if omitted, the starting energy is drawn from the soil)
+     * @returns {Creature} New creature
+     */
+    createCreature(species, brain = null, position = null, genome = null, energy = null) {
+        const { x, y } = position || this.environment.randomPosition(this.random.world);
+        
+        return new Creature({
+            species,
+            brain,
+            genome,
+            random: this.random.brains,
+            x,
+            y,
+            angle: this.random.world.range(0, Math.PI * 2),
+            energy: energy !== null ? energy : this.environment.nutrients.take(this.config.ecologyConfig.initialCreatureEnergy),
+            generation: this.generation
+        });
     }
     
     /**
-     * Get environment height based on configuration
-     * @returns {number} Height in pixels
+     * Create a plant
+     * @param {Object} position Position ({ x, y })
+     * @param {number} energy Starting energy
+     * @returns {Plant} New plant
      */
-    getEnvironmentHeight() {
-        const sizeMap = {
-            small: 500,
-            medium: 1000,
-            large: 2000
+    createPlant(position, energy) {
+        const plantConfig = this.config.plantConfig;
+        
+        return new Plant({
+            x: position.x,
+            y: position.y,
+            radius: plantConfig.radius,
+            energy,
+            maxEnergy: plantConfig.maxEnergy,
+            growthRate: plantConfig.growthRate,
+            upkeep: plantConfig.upkeep
+        });
+    }
+    
+    /**
+     * Sprout a plant at a random fertile spot, made of the nutrients in the soil there
+     * @returns {Plant|null} New plant, or null if the soil there is barren
+     */
+    sproutPlant() {
+        const plantConfig = this.config.plantConfig;
+        const position = this.environment.randomPosition(this.random.world, { radius: plantConfig.radius, fertile: true });
+        const energy = this.environment.nutrients.withdraw(position.x, position.y, plantConfig.initialEnergy);
+        if (energy <= 0) return null;
+        
+        const plant = this.createPlant(position, energy);
+        this.plants.push(plant);
+        return plant;
+    }
+    
+    /**
+     * Get the environment dimensions from the configuration
+     * Named sizes keep their area when stretched to an aspect ratio, custom sizes take their
+     * height from the aspect ratio if one is set, and 'window' follows the last handleResize()
+     * @returns {Object} Width and height in pixels ({ width, height })
+     */
+    getEnvironmentDimensions() {
+        const config = this.config;
+        const ratio = config.aspectRatio;
+        
+        if (Config.ENVIRONMENT_SIZES[config.environmentSize]) {
+            const side = Config.ENVIRONMENT_SIZES[config.environmentSize];
+            if (!ratio) return { width: side, height: side };
+            
+            return { width: Math.round(side * Math.sqrt(ratio)), height: Math.round(side / Math.sqrt(ratio)) };
+        }
+        
+        if (config.environmentSize === 'window' && this.viewport) {
+            // Never smaller than the smallest custom size, however small the window
+            const min = Config.SCHEMA.environmentWidth.min;
+            return {
+                width: Math.max(min, Math.round(this.viewport.width)),
+                height: Math.max(min, Math.round(this.viewport.height))
+            };
+        }
+        
+        return {
+            width: config.environmentWidth,
+            height: ratio ? Math.round(config.environmentWidth / ratio) : config.environmentHeight
         };
-        return sizeMap[this.config.environmentSize] || 1000;
     }
     
     /**
@@ -138,6 +339,7 @@ class Simulation {
     start() {
         if (!this.running) {
             this.running = true;
+            this.accumulator = 0;
             console.log('Simulation started');
         }
     }
@@ -154,16 +356,43 @@ class Simulation {
     
     /**
      * Reset the simulation
+     * @param {Object} options Partial configuration to apply first (see Config.resolve), for example
+     *        { seed: 42, ecologyConfig: { biteSize: 3 } } or { preset: 'benchmark' }
+     * @param {string} options.preset Preset to start from instead of the current configuration
+     * @param {number|string} options.seed Random seed (null for a new random seed)
+     * @param {number} options.initialPlants Number of plants
+     * @param {number} options.initialHerbivores Number of herbivores
+     * @param {number} options.initialCarnivores Number of carnivores
      */
-    reset() {
+    reset(options = {}) {
+        // Check the overrides before changing anything, so invalid ones leave the simulation as it was
+        const config = Config.resolve(this.config, options);
+        if (config.terrainConfig.source === 'map') {
+            Environment.parseMap(config.terrainConfig.map);
+        }
+        
         this.pause();
+        this.config = config;
+        
+        // Restart the random streams and rebuild components from the new configuration
+        this.createRandomStreams();
+        this.createGeneticAlgorithm();
+        this.createFitness();
+        this.createSpecies();
+        
         this.generation = 0;
         this.timeSinceLastUpdate = 0;
+        this.accumulator = 0;
+        this.interpolation = 0;
+        this.tickCount = 0;
+        this.droppedTicks = 0;
         
-        // Reset environment
-        this.environment.resources = 1000;
+        // Rebuild the environment (its size and terrain may have changed)
+        this.environment = this.createEnvironment();
+        this.createSpatialIndexes();
         
-        // Reinitialize entities
+        // Reinitialize entities, numbering them from the start so a seed replays with the same ids
+        Entity.nextId = 1;
         this.initializeEntities();
         
         console.log('Simulation reset');
@@ -179,176 +408,733 @@ class Simulation {
     }
     
     /**
-     * Set environment size
-     * @param {string} size Environment size ('small', 'medium', 'large')
+     * Switch between generational and continuous evolution
+     * @param {string} mode Evolution mode ('generational' or 'continuous')
      */
-    setEnvironmentSize(size) {
-        if (this.config.environmentSize !== size) {
-            this.config.environmentSize = size;
-            this.environment.width = this.getEnvironmentWidth();
-            this.environment.height = this.getEnvironmentHeight();
-            
-            // Reposition entities to fit new environment
-            this.repositionEntities();
-            
-            console.log(`Environment size set to ${size}`);
+    setEvolutionMode(mode) {
+        if (mode !== 'generational' && mode !== 'continuous') {
+            throw new Error(`Unknown evolution mode: ${mode}`);
         }
+        
+        this.config.evolutionMode = mode;
+        this.timeSinceLastUpdate = 0;
+        console.log(`Evolution mode set to ${mode}`);
     }
     
     /**
-     * Reposition entities after environment size change
+     * Set environment size, moving the entities to the same relative positions in the new area
+     * @param {string} size Named size ('small', 'medium', 'large'), 'custom' or 'window' (fit to the window)
+     * @param {Object} dimensions Optional custom dimensions and shape
+     * @param {number} dimensions.width Width of a custom environment
+     * @param {number} dimensions.height Height of a custom environment
+     * @param {number|null} dimensions.aspectRatio Width / height (null for none)
      */
-    repositionEntities() {
-        // Reposition creatures
-        this.creatures.forEach(creature => {
-            creature.x = Math.min(creature.x, this.environment.width);
-            creature.y = Math.min(creature.y, this.environment.height);
+    setEnvironmentSize(size, dimensions = {}) {
+        this.config = Config.resolve(this.config, {
+            environmentSize: size,
+            environmentWidth: dimensions.width,
+            environmentHeight: dimensions.height,
+            aspectRatio: dimensions.aspectRatio
         });
         
-        // Reposition plants
-        this.plants.forEach(plant => {
-            plant.x = Math.min(plant.x, this.environment.width);
-            plant.y = Math.min(plant.y, this.environment.height);
+        const { width, height } = this.getEnvironmentDimensions();
+        this.resizeEnvironment(width, height);
+        
+        console.log(`Environment size set to ${size} (${width}x${height})`);
+    }
+    
+    /**
+     * Change the environment dimensions, scaling entity positions proportionally
+     * @param {number} width New width
+     * @param {number} height New height
+     */
+    resizeEnvironment(width, height) {
+        if (width === this.environment.width && height === this.environment.height) return;
+        
+        this.repositionEntities(width / this.environment.width, height / this.environment.height);
+        this.environment.resize(width, height);
+        this.createSpatialIndexes();
+    }
+    
+    /**
+     * Replace the terrain and obstacles with a map, keeping the creatures and plants
+     * The map is stretched over the environment and kept in the configuration for later resets
+     * @param {Object} map Map (see Environment.parseMap), such as one from Environment.mapFromImage
+     */
+    loadMap(map) {
+        this.environment.loadMap(map);
+        this.config.terrainConfig = { ...this.config.terrainConfig, source: 'map', map: Config.clone(map) };
+        
+        // Nothing may be left inside the new obstacles
+        [...this.creatures, ...this.plants].forEach(entity => this.environment.collide(entity));
+        
+        console.log(`Map loaded (${this.environment.columns}x${this.environment.rows} cells, ${this.environment.obstacles.length} obstacles)`);
+    }
+    
+    /**
+     * Move entities to the same relative positions after the environment is resized
+     * @param {number} scaleX Ratio of the new width to the old
+     * @param {number} scaleY Ratio of the new height to the old
+     */
+    repositionEntities(scaleX, scaleY) {
+        // Scale the previous positions too, so rendering does not interpolate across the jump
+        [...this.creatures, ...this.plants].forEach(entity => {
+            entity.x *= scaleX;
+            entity.y *= scaleY;
+            entity.prevX *= scaleX;
+            entity.prevY *= scaleY;
         });
     }
     
     /**
      * Handle window resize event
+     * Fits the environment to the window when the 'window' environment size is selected
+     * @param {number} width Window (canvas) width in pixels
+     * @param {number} height Window (canvas) height in pixels
+     */
+    handleResize(width, height) {
+        if (!width || !height) return;
+        
+        this.viewport = { width, height };
+        if (this.config.environmentSize === 'window') {
+            const dimensions = this.getEnvironmentDimensions();
+            this.resizeEnvironment(dimensions.width, dimensions.height);
+        }
+    }
+    
+    /**
+     * Duration of one simulation tick in simulated milliseconds
+     * @returns {number} Tick duration
      */
-    handleResize() {
-        // Update camera and viewport if needed
-        console.log('Window resized, updating rendering');
+    get tickDuration() {
+        return 1000 / this.config.tickRate;
     }
     
     /**
-     * Update simulation state
+     * Advance the simulation by the elapsed frame time using fixed ticks
+     * Faster speeds run more ticks per frame rather than longer ones, so a run
+     * plays out the same way regardless of frame rate or speed setting
+     * @param {number} now Current timestamp in ms (defaults to performance.now())
      */
-    update() {
+    update(now = performance.now()) {
+        const frameTime = now - this.lastFrameTime;
+        this.lastFrameTime = now;
+        
+        // Update FPS counter
+        this.frameCount++;
+        if (now - this.fpsWindowStart >= 1000) {
+            this.fps = this.frameCount * 1000 / (now - this.fpsWindowStart);
+            this.frameCount = 0;
+            this.fpsWindowStart = now;
+        }
+        
         if (!this.running) return;
         
-        const now = performance.now();
-        const deltaTime = now - this.lastFrameTime;
-        this.lastFrameTime = now;
+        // Clamp long frames (e.g. a background tab) and scale by simulation speed
+        this.accumulator += Math.min(frameTime, this.config.maxFrameTime) * this.speed;
+        
+        // Run as many fixed ticks as the accumulated time allows
+        let ticks = 0;
+        while (this.accumulator >= this.tickDuration && ticks < this.config.maxTicksPerFrame) {
+            this.tick();
+            this.accumulator -= this.tickDuration;
+            ticks++;
+        }
+        
+        // Drop any backlog we could not catch up on rather than falling further behind
+        if (this.accumulator >= this.tickDuration) {
+            this.droppedTicks += Math.floor(this.accumulator / this.tickDuration);
+            this.accumulator %= this.tickDuration;
+        }
+        
+        this.interpolation = this.accumulator / this.tickDuration;
         
-        // Scale time based on simulation speed
-        const scaledDelta = deltaTime * this.speed;
-        this.timeSinceLastUpdate += scaledDelta;
+        this.dispatchEvent('update', { fps: this.fps, ticks });
+    }
+    
+    /**
+     * Advance the simulation by exactly one fixed tick
+     */
+    tick() {
+        this.timeSinceLastUpdate += this.tickDuration;
         
-        // Check if generation is complete
-        if (this.timeSinceLastUpdate >= this.config.generationLength) {
+        // Check if generation is complete (or the whole population has starved)
+        const generationComplete = this.timeSinceLastUpdate >= this.config.generationLength || this.creatures.length === 0;
+        if (this.config.evolutionMode === 'generational' && generationComplete) {
             this.nextGeneration();
             this.timeSinceLastUpdate = 0;
         }
         
-        // Update entities
-        this.updateEntities(scaledDelta / this.timeScale);
-        
-        // Update FPS counter
-        this.frameCount++;
-        if (now - this.lastFrameTime > 1000) {
-            this.fps = this.frameCount;
-            this.frameCount = 0;
+        // Continuous runs have no generations to breed, so count the niches on a timer instead
+        if (this.config.evolutionMode === 'continuous' && this.timeSinceLastUpdate >= this.config.generationLength) {
+            this.censusNiches();
+            this.lineage.prune(this.generation);
+            this.timeSinceLastUpdate = 0;
         }
+        
+        // Update entities by one tick
+        this.updateEntities(1);
+        this.tickCount++;
     }
     
     /**
      * Advance to the next generation
      */
     nextGeneration() {
-        this.generation++;
+        const evaluated = [...this.creatures, ...this.deceased];
+        const nextCreatures = [];
         
-        // Perform genetic algorithm operations
-        // (selection, crossover, mutation would happen here)
+        // Sort the evaluated population into niches, so the report includes them
+        this.censusNiches(evaluated);
         
-        // For now, just reset creatures with some random mutations
+        // Report the finished generation before it is replaced
+        this.dispatchEvent('generation', { generation: this.generation, population: evaluated });
+        
+        // The survivors' lives end with the generation, and their bodies return to the soil
         this.creatures.forEach(creature => {
-            creature.energy = 100;
-            creature.age = 0;
-            creature.fitness = 0;
+            creature.die(this);
+            this.lineage.retire(creature, this.generation);
+        });
+        
+        this.generation++;
+        
+        // Evolve each species separately so brains only breed with compatible brains
+        Object.values(this.species).forEach(species => {
+            let members = evaluated.filter(creature => creature.species === species);
             
-            // Apply random mutations
-            if (Math.random() < this.config.mutationRate) {
-                creature.network.mutate(0.1);
+            // Share fitness within niches so a single lineage cannot take over
+            if (this.config.speciationConfig.enabled) {
+                members = species.speciation.shareFitness(members);
             }
+            
+            // Select, cross over and mutate the evaluated population (including the dead)
+            const offspring = this.geneticAlgorithm.evolve(members, species.initialCount);
+            
+            // Fresh creatures carry the new brains
+            offspring.forEach(child => {
+                const creature = this.createCreature(species, child.brain, null, child.genome);
+                creature.parentIds = child.parents.map(parent => parent.id);
+                this.lineage.record(creature);
+                nextCreatures.push(creature);
+            });
         });
         
+        this.creatures = nextCreatures;
+        this.deceased = [];
+        
+        // Forget the branches that ended without offspring
+        this.lineage.prune(this.generation);
+        
         console.log(`Advanced to generation ${this.generation}`);
     }
     
+    /**
+     * Sort the creatures of every species into niches
+     * @param {Array} population Creatures to sort (defaults to the living creatures)
+     */
+    censusNiches(population = this.creatures) {
+        if (!this.config.speciationConfig.enabled) return;
+        
+        Object.values(this.species).forEach(species => {
+            const members = population.filter(creature => creature.species === species);
+            species.speciation.speciate(members, this.generation);
+        });
+    }
+    
     /**
      * Update all entities in the simulation
      * @param {number} deltaTime Time elapsed since last update
      */
     updateEntities(deltaTime) {
-        // Update creatures
+        // Index everything for this tick's neighbour queries
+        this.indexEntities();
+        
+        // Sense and think for the whole population at once, then let every creature act
+        const outputs = this.evaluateBrains();
+        this.creatures.forEach((creature, index) => {
+            creature.update(deltaTime, this, outputs[index]);
+            this.creatureIndex.update(creature);
+        });
+        
+        // Let hungry creatures eat the plants and prey they touch
+        this.handleFeeding(deltaTime);
+        
+        // Remove creatures that ran out of energy
+        this.removeDeadCreatures();
+        
+        // In continuous mode creatures breed during the run
+        if (this.config.evolutionMode === 'continuous') {
+            this.handleReproduction();
+            this.reseedExtinctSpecies();
+        }
+        
+        // Grow plants, clear away the depleted ones and let new ones take root
+        this.plants.forEach(plant => plant.update(deltaTime, this));
+        this.removeDeadPlants();
+        this.spreadPlants(deltaTime);
+        
+        // Nutrients slowly even out through the soil
+        const diffusion = this.config.ecologyConfig.nutrientDiffusion;
+        this.environment.nutrients.diffuse(Math.min(0.25, diffusion * deltaTime));
+    }
+    
+    /**
+     * Rebuild the spatial indexes from the current creatures and plants
+     */
+    indexEntities() {
+        this.creatureIndex.rebuild(this.creatures);
+        this.plantIndex.rebuild(this.plants);
+        
+        // Largest body, so contact queries know how far to look
+        this.maxEntityRadius = 0;
         this.creatures.forEach(creature => {
-            // Simulate creature movement
-            creature.x += (Math.random() - 0.5) * 2;
-            creature.y += (Math.random() - 0.5) * 2;
+            this.maxEntityRadius = Math.max(this.maxEntityRadius, creature.radius);
+        });
+        this.plants.forEach(plant => {
+            this.maxEntityRadius = Math.max(this.maxEntityRadius, plant.radius);
+        });
+    }
+    
+    /**
+     * Sense and run every creature's brain, batching networks that share an architecture
+     * Brains that cannot be batched (NEAT genomes) are evaluated one at a time
+     * @returns {Array} Brain outputs in creature order (views into shared batch buffers)
+     */
+    evaluateBrains() {
+        const outputs = new Array(this.creatures.length);
+        
+        // Group creatures by brain architecture
+        const groups = new Map();
+        this.creatures.forEach((creature, index) => {
+            const key = creature.brain.architectureKey;
+            if (!key) {
+                outputs[index] = creature.brain.feedForward(creature.species.sensors.sense(creature, this));
+                return;
+            }
             
-            // Keep within bounds
-            creature.x = Math.max(0, Math.min(this.environment.width, creature.x));
-            creature.y = Math.max(0, Math.min(this.environment.height, creature.y));
+            if (!groups.has(key)) {
+                groups.set(key, { networks: [], indices: [] });
+            }
             
-            // Update creature state
-            creature.age += deltaTime;
-            creature.energy -= 0.1 * deltaTime;
-            creature.fitness += 0.01 * deltaTime;
+            const group = groups.get(key);
+            group.networks.push(creature.brain);
+            group.indices.push(index);
         });
         
-        // Update plants
-        this.plants.forEach(plant => {
-            // Simple plant growth
-            if (plant.energy < 100) {
-                plant.energy += 0.05 * deltaTime;
+        groups.forEach((group, key) => {
+            if (!this.brainBatches.has(key)) {
+                this.brainBatches.set(key, new NeuralNetworkBatch());
+            }
+            
+            // Write each creature's senses straight into the batch inputs
+            const batch = this.brainBatches.get(key);
+            batch.setNetworks(group.networks);
+            group.indices.forEach((index, slot) => {
+                const creature = this.creatures[index];
+                creature.species.sensors.sense(creature, this, batch.inputView(slot));
+            });
+            
+            batch.evaluate();
+            group.indices.forEach((index, slot) => {
+                outputs[index] = batch.outputView(slot);
+            });
+        });
+        
+        // Release batches of architectures that are no longer around
+        this.brainBatches.forEach((batch, key) => {
+            if (!groups.has(key)) {
+                this.brainBatches.delete(key);
+            }
+        });
+        
+        return outputs;
+    }
+    
+    /**
+     * Transfer energy from plants and prey to creatures that are eating them
+     * @param {number} deltaTime Time elapsed since last update
+     */
+    handleFeeding(deltaTime) {
+        this.creatures.forEach(creature => {
+            if (!creature.actions || !creature.actions.eat || creature.energy <= 0) return;
+            
+            const species = creature.species;
+            
+            if (species.eatsPlants) {
+                const plant = this.findTouching(creature, this.plantIndex, candidate => candidate.edible);
+                if (plant) {
+                    this.handleGrazing(creature, plant, deltaTime);
+                    return;
+                }
+            }
+            
+            if (species.prey.length > 0) {
+                const prey = this.findTouching(creature, this.creatureIndex, candidate =>
+                    candidate.energy > 0 && species.canEat(candidate)
+                );
+                if (prey) {
+                    this.handlePredation(creature, prey);
+                }
             }
         });
     }
     
     /**
-     * Render the simulation
+     * Find an entity touching a creature
+     * The one created first wins, so the choice does not depend on the index's internal order
+     * @param {Creature} creature Creature looking for contact
+     * @param {SpatialIndex} index Index to search
+     * @param {Function} predicate Test the entity must pass
+     * @returns {Entity|null} Touching entity with the lowest id, or null
      */
-    render() {
-        // Clear canvas and setup transform for camera
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    findTouching(creature, index, predicate) {
+        let found = null;
         
-        // Calculate scale factor to fit environment to canvas
-        const scaleX = this.canvas.width / this.environment.width;
-        const scaleY = this.canvas.height / this.environment.height;
-        const scale = Math.min(scaleX, scaleY);
+        index.queryRadius(creature.x, creature.y, creature.radius + this.maxEntityRadius).forEach(candidate => {
+            if (found && candidate.id > found.id) return;
+            
+            if (predicate(candidate) && creature.overlaps(candidate)) {
+                found = candidate;
+            }
+        });
+        
+        return found;
+    }
+    
+    /**
+     * Move energy from a plant to the creature eating it
+     * @param {Creature} creature Grazing creature
+     * @param {Plant} plant Plant being eaten
+     * @param {number} deltaTime Time elapsed since last update
+     */
+    handleGrazing(creature, plant, deltaTime) {
+        const ecology = this.config.ecologyConfig;
+        
+        // Take a bite sized by digestion, limited by appetite
+        const appetite = Math.max(0, ecology.maxCreatureEnergy - creature.energy);
+        const bite = Math.min(ecology.biteSize * creature.genome.digestion * deltaTime, appetite);
+        
+        creature.feed(plant.consume(bite));
+    }
+    
+    /**
+     * Kill a prey creature and hand part of its energy to the predator
+     * @param {Creature} predator Hunting creature
+     * @param {Creature} prey Creature being eaten
+     */
+    handlePredation(predator, prey) {
+        const ecology = this.config.ecologyConfig;
+        const appetite = Math.max(0, ecology.maxCreatureEnergy - predator.energy);
         
-        // Center the environment in the canvas
-        const offsetX = (this.canvas.width - this.environment.width * scale) / 2;
-        const offsetY = (this.canvas.height - this.environment.height * scale) / 2;
+        const eaten = Math.min(prey.energy * ecology.meatEfficiency, appetite);
+        predator.feed(eaten);
+        predator.countEvent('preyCaught');
         
-        // Save context state
-        this.ctx.save();
-        this.ctx.translate(offsetX, offsetY);
-        this.ctx.scale(scale, scale);
+        // What the predator leaves goes back to the soil; the prey is removed with the starved creatures
+        this.environment.nutrients.deposit(prey.x, prey.y, prey.energy - eaten);
+        prey.energy = 0;
+    }
+    
+    /**
+     * Remove creatures with no energy left, keeping them for selection
+     */
+    removeDeadCreatures() {
+        this.creatures = this.creatures.filter(creature => {
+            if (creature.energy > 0) return true;
+            
+            creature.die(this);
+            this.lineage.retire(creature, this.generation);
+            this.deceased.push(creature);
+            this.creatureIndex.remove(creature);
+            return false;
+        });
         
-        // Draw environment boundary
-        this.ctx.strokeStyle = '#444';
-        this.ctx.lineWidth = 1 / scale;
-        this.ctx.strokeRect(0, 0, this.environment.width, this.environment.height);
+        // Continuous runs never end a generation, so only keep the most recent dead
+        if (this.config.evolutionMode === 'continuous') {
+            const graveyardSize = this.config.reproductionConfig.graveyardSize;
+            if (this.deceased.length > graveyardSize) {
+                this.deceased.splice(0, this.deceased.length - graveyardSize);
+            }
+        }
+    }
+    
+    /**
+     * Remove plants with no energy left, eaten or withered
+     */
+    removeDeadPlants() {
+        this.plants = this.plants.filter(plant => {
+            if (plant.energy > 0) return true;
+            
+            plant.die(this);
+            return false;
+        });
+    }
+    
+    /**
+     * Let grown plants seed nearby and new plants sprout from the soil
+     * Seedlings take their energy from the parent; sprouts appear more often the richer the soil
+     * @param {number} deltaTime Time elapsed since last update
+     */
+    spreadPlants(deltaTime) {
+        const plantConfig = this.config.plantConfig;
+        const random = this.random.world;
+        const seedlings = [];
         
-        // Draw plants
-        this.ctx.fillStyle = '#3c3';
         this.plants.forEach(plant => {
-            this.ctx.beginPath();
-            this.ctx.arc(plant.x, plant.y, 2, 0, Math.PI * 2);
-            this.ctx.fill();
+            if (this.plants.length + seedlings.length >= plantConfig.maxPlants) return;
+            if (plant.energy < plant.maxEnergy * plantConfig.seedThreshold) return;
+            if (!random.chance(plantConfig.seedRate * deltaTime)) return;
+            
+            // Seeds only take root on open, fertile ground
+            const angle = random.range(0, Math.PI * 2);
+            const distance = random.range(plant.radius * 2, Math.max(plant.radius * 2, plantConfig.seedRange));
+            const position = { x: plant.x + Math.cos(angle) * distance, y: plant.y + Math.sin(angle) * distance };
+            if (position.x < 0 || position.x > this.environment.width || position.y < 0 || position.y > this.environment.height) return;
+            if (this.environment.growthAt(position.x, position.y) <= 0) return;
+            if (this.environment.isBlocked(position.x, position.y, plantConfig.radius)) return;
+            
+            seedlings.push(this.createPlant(position, plant.consume(plantConfig.seedEnergy)));
         });
         
-        // Draw creatures
-        this.ctx.fillStyle = '#39f';
-        this.creatures.forEach(creature => {
-            this.ctx.beginPath();
-            this.ctx.arc(creature.x, creature.y, 3, 0, Math.PI * 2);
-            this.ctx.fill();
+        this.plants.push(...seedlings);
+        
+        // Sprouts are tied to the nutrients left in the soil
+        const soilNutrients = this.config.ecologyConfig.soilNutrients;
+        if (this.plants.length >= plantConfig.maxPlants || soilNutrients <= 0) return;
+        
+        const richness = this.environment.nutrients.total / soilNutrients;
+        if (random.chance(Math.min(1, plantConfig.spawnRate * deltaTime * richness))) {
+            this.sproutPlant();
+        }
+    }
+    
+    /**
+     * Let well-fed creatures that want to reproduce have offspring
+     */
+    handleReproduction() {
+        const reproduction = this.config.reproductionConfig;
+        const newborns = [];
+        
+        this.creatures.forEach(parent => {
+            if (this.creatures.length + newborns.length >= reproduction.populationCap) return;
+            if (!parent.canReproduce(reproduction.energyThreshold)) return;
+            
+            // Pair with a nearby mate when sexual reproduction is enabled, otherwise clone
+            const mate = reproduction.sexual ? this.findMate(parent) : null;
+            const child = mate ? this.reproduce(parent, mate) : this.reproduce(parent);
+            newborns.push(child);
         });
         
-        // Restore context state
-        this.ctx.restore();
+        this.creatures.push(...newborns);
+    }
+    
+    /**
+     * Find the nearest willing mate of the same species
+     * @param {Creature} creature Creature looking for a mate
+     * @returns {Creature|null} Mate within range, or null
+     */
+    findMate(creature) {
+        const reproduction = this.config.reproductionConfig;
+        
+        return this.creatureIndex.nearest(creature.x, creature.y, reproduction.mateRange, candidate =>
+            candidate !== creature &&
+            candidate.species === creature.species &&
+            candidate.canReproduce(reproduction.energyThreshold)
+        );
+    }
+    
+    /**
+     * Create an offspring mid-run and split the parents' energy with it
+     * @param {Creature} parent Parent that initiated reproduction
+     * @param {Creature} mate Optional second parent (omit for asexual reproduction)
+     * @returns {Creature} Newborn creature
+     */
+    reproduce(parent, mate = null) {
+        const reproduction = this.config.reproductionConfig;
+        const parents = mate ? [parent, mate] : [parent];
+        
+        // Clone-and-mutate or crossover-and-mutate the brain and body
+        const brain = this.geneticAlgorithm.breed(parent, mate);
+        const genome = this.geneticAlgorithm.breedGenome(parent, mate);
+        
+        // Born next to the parent
+        const child = this.createCreature(parent.species, brain, {
+            x: Math.max(0, Math.min(this.environment.width, parent.x + this.random.world.range(-5, 5))),
+            y: Math.max(0, Math.min(this.environment.height, parent.y + this.random.world.range(-5, 5)))
+        }, genome, 0);
+        
+        // The spot next to the parent may be inside an obstacle
+        this.environment.collide(child);
+        
+        // Each parent contributes an equal part of the offspring's energy
+        parents.forEach(contributor => {
+            const contribution = contributor.energy * reproduction.offspringEnergyShare / parents.length;
+            contributor.energy -= contribution;
+            child.energy += contribution;
+            contributor.recordOffspring(reproduction.cooldown);
+        });
+        
+        child.generation = Math.max(...parents.map(contributor => contributor.generation)) + 1;
+        child.parentIds = parents.map(contributor => contributor.id);
+        this.lineage.record(child);
+        
+        // The generation counter tracks the deepest lineage in continuous mode
+        this.generation = Math.max(this.generation, child.generation);
+        
+        return child;
+    }
+    
+    /**
+     * Restart a species that died out from the best of its recent dead
+     */
+    reseedExtinctSpecies() {
+        Object.values(this.species).forEach(species => {
+            if (species.initialCount === 0) return;
+            if (this.creatures.some(creature => creature.species === species)) return;
+            
+            const members = this.deceased.filter(creature => creature.species === species);
+            const offspring = members.length > 0
+                ? this.geneticAlgorithm.evolve(members, species.initialCount)
+                : Array(species.initialCount).fill().map(() => ({ brain: null, parents: [] }));
+            
+            offspring.forEach(child => {
+                const creature = this.createCreature(species, child.brain, null, child.genome);
+                creature.parentIds = child.parents.map(parent => parent.id);
+                this.lineage.record(creature);
+                this.creatures.push(creature);
+            });
+            
+            this.deceased = this.deceased.filter(creature => creature.species !== species);
+            console.log(`Reseeded extinct species ${species.name}`);
+        });
+    }
+    
+    /**
+     * Capture the full simulation state as a versioned snapshot
+     * @returns {Object} Snapshot (see Snapshot) ready for JSON.stringify
+     */
+    serialize() {
+        const randomState = {};
+        Object.entries(this.random).forEach(([name, stream]) => {
+            randomState[name] = stream.getState();
+        });
+        
+        return Snapshot.wrap({
+            config: JSON.parse(JSON.stringify(this.config)),
+            seed: this.seed,
+            random: randomState,
+            speed: this.speed,
+            generation: this.generation,
+            timeSinceLastUpdate: this.timeSinceLastUpdate,
+            tickCount: this.tickCount,
+            nextEntityId: Entity.nextId,
+            environment: this.environment.toJSON(),
+            innovations: this.serializeInnovations(),
+            speciation: this.serializeSpeciation(),
+            lineage: this.lineage.toJSON(),
+            creatures: this.creatures.map(creature => creature.serialize()),
+            deceased: this.deceased.map(creature => creature.serialize()),
+            plants: this.plants.map(plant => plant.serialize())
+        });
+    }
+    
+    /**
+     * Capture the NEAT innovation numbers of every species that evolves its topology
+     * @returns {Object} Innovation tracker state keyed by species name
+     */
+    serializeInnovations() {
+        const innovations = {};
+        Object.values(this.species).forEach(species => {
+            if (species.innovations) {
+                innovations[species.name] = species.innovations.toJSON();
+            }
+        });
+        return innovations;
+    }
+    
+    /**
+     * Capture the niches of every species
+     * @returns {Object} Speciation state keyed by species name
+     */
+    serializeSpeciation() {
+        const speciation = {};
+        Object.values(this.species).forEach(species => {
+            speciation[species.name] = species.speciation.toJSON();
+        });
+        return speciation;
+    }
+    
+    /**
+     * Restore the simulation from a snapshot created by serialize()
+     * The simulation is paused afterwards
+     * @param {Object|string} snapshot Snapshot object or JSON string
+     */
+    deserialize(snapshot) {
+        const state = Snapshot.unwrap(snapshot);
+        
+        this.pause();
+        
+        // Rebuild components from the saved configuration
+        this.config = Config.validate(state.config);
+        this.createSpecies();
+        
+        // Resume the random streams exactly where they left off
+        this.seed = state.seed;
+        this.random = Random.createStreams(this.seed, Object.keys(state.random));
+        Object.entries(state.random).forEach(([name, value]) => {
+            this.random[name].setState(value);
+        });
+        this.createGeneticAlgorithm();
+        this.createFitness();
+        
+        // Restore simulation state
+        this.speed = state.speed;
+        this.generation = state.generation;
+        this.timeSinceLastUpdate = state.timeSinceLastUpdate;
+        this.tickCount = state.tickCount;
+        this.accumulator = 0;
+        this.interpolation = 0;
+        this.environment = Environment.fromJSON(state.environment);
+        this.createSpatialIndexes();
+        
+        // Restore NEAT innovation numbers before the genomes that use them
+        Object.entries(state.innovations).forEach(([name, innovations]) => {
+            if (this.species[name]) {
+                this.species[name].innovations = InnovationTracker.fromJSON(innovations);
+            }
+        });
+        
+        // Restore the niches, whose representatives may be NEAT genomes using those innovation numbers
+        Object.entries(state.speciation).forEach(([name, speciation]) => {
+            const species = this.species[name];
+            if (species) {
+                species.speciation = Speciation.fromJSON(speciation, this.config.speciationConfig, json => species.brainFromJSON(json));
+            }
+        });
+        
+        // Restore entities
+        this.creatures = state.creatures.map(data => Creature.deserialize(data, this.species));
+        this.deceased = state.deceased.map(data => Creature.deserialize(data, this.species));
+        this.plants = state.plants.map(data => Plant.deserialize(data));
+        Entity.nextId = state.nextEntityId;
+        
+        // Restore the ancestry and reconnect the living creatures to it
+        this.lineage = Lineage.fromJSON(state.lineage, this.config.lineageConfig);
+        this.creatures.forEach(creature => this.lineage.attach(creature));
+        
+        console.log(`Simulation restored at generation ${this.generation}`);
+    }
+    
+    /**
+     * Export the ancestry of the creatures
+     * @param {string} format 'newick' for a Newick tree, or 'json' for the graph with every parent link
+     * @returns {string|Object} Newick string or graph (see Lineage.toGraph)
+     */
+    exportLineage(format = 'json') {
+        if (format === 'newick') return this.lineage.toNewick();
+        if (format === 'json') return this.lineage.toGraph();
+        
+        throw new Error(`Unknown lineage format: ${format}`);
     }
     
     /**
@@ -367,12 +1153,40 @@ class Simulation {
         
         const averageFitness = this.creatures.length > 0 ? totalFitness / this.creatures.length : 0;
         
+        // Per-species population and fitness for studying predator-prey cycles
+        const species = {};
+        Object.keys(this.species).forEach(name => {
+            species[name] = { population: 0, averageFitness: 0, maxFitness: 0 };
+        });
+        this.creatures.forEach(creature => {
+            const speciesStats = species[creature.species.name];
+            speciesStats.population++;
+            speciesStats.averageFitness += creature.fitness;
+            speciesStats.maxFitness = Math.max(speciesStats.maxFitness, creature.fitness);
+        });
+        Object.values(species).forEach(speciesStats => {
+            if (speciesStats.population > 0) {
+                speciesStats.averageFitness /= speciesStats.population;
+            }
+        });
+        
+        // Niche counts and sizes from each species' latest census
+        const niches = {};
+        Object.entries(this.species).forEach(([name, { speciation }]) => {
+            niches[name] = speciation.getStats();
+        });
+        
         return {
+            seed: this.seed,
             generation: this.generation,
             population: this.creatures.length,
             averageFitness: averageFitness,
             maxFitness: maxFitness,
-            resources: this.environment.resources,
+            resources: this.environment.nutrients.total,
+            species,
+            niches,
+            ticks: this.tickCount,
+            droppedTicks: this.droppedTicks,
             fps: this.fps
         };
     }
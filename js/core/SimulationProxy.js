@@ -0,0 +1,335 @@
+/**
+ * Simulation Proxy class
+ * Main-thread stand-in for a Simulation running in a SimulationWorker
+ * Commands are forwarded to the worker and return promises; the latest state the
+ * worker sent is mirrored here so the renderer and UI can read it synchronously
+ */
+class SimulationProxy {
+    /**
+     * Connect to a worker running js/core/SimulationWorker.js
+     * @param {Worker} worker Web Worker, or a worker_threads Worker under Node.js
+     */
+    constructor(worker) {
+        this.worker = worker;
+        this.listeners = {};
+        
+        // Commands waiting for a reply, by request id
+        this.pending = new Map();
+        this.nextRequestId = 1;
+        
+        // Mirrored simulation state, refreshed by every frame from the worker
+        this.running = false;
+        this.speed = 1;
+        this.seed = null;
+        this.generation = 0;
+        this.interpolation = 0;
+        this.fps = 0;
+        this.config = null;
+        this.environment = new Environment(0, 0);
+        this.species = [];
+        this.stats = null;
+        
+        // Entity views for the renderer, reused between frames
+        this.creatures = [];
+        this.plants = [];
+        this.creaturePool = [];
+        this.plantPool = [];
+        
+        // Web Workers deliver message events, worker_threads deliver the data itself
+        if (typeof worker.on === 'function') {
+            worker.on('message', message => this.handleMessage(message));
+            worker.on('error', error => this.handleError(error));
+        } else {
+            worker.addEventListener('message', event => this.handleMessage(event.data));
+            worker.addEventListener('error', event => this.handleError(event));
+        }
+    }
+    
+    /**
+     * Register a listener for simulation events ('update', 'generation')
+     * Generation events carry { generation, stats } since creatures stay in the worker
+     * @param {string} type Event type
+     * @param {Function} listener Callback receiving the event data
+     */
+    addEventListener(type, listener) {
+        if (!this.listeners[type]) {
+            this.listeners[type] = [];
+        }
+        this.listeners[type].push(listener);
+    }
+    
+    /**
+     * Remove a previously registered listener
+     * @param {string} type Event type
+     * @param {Function} listener Callback to remove
+     */
+    removeEventListener(type, listener) {
+        if (!this.listeners[type]) return;
+        this.listeners[type] = this.listeners[type].filter(existing => existing !== listener);
+    }
+    
+    /**
+     * Notify listeners of an event
+     * @param {string} type Event type
+     * @param {Object} data Event data
+     */
+    dispatchEvent(type, data) {
+        (this.listeners[type] || []).forEach(listener => listener(data));
+    }
+    
+    /**
+     * Send a command to the worker's simulation
+     * @param {string} method Simulation method name
+     * @param {...*} args Method arguments (must be cloneable)
+     * @returns {Promise} Promise resolving to the method's return value
+     */
+    call(method, ...args) {
+        return new Promise((resolve, reject) => {
+            const id = this.nextRequestId++;
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ type: 'call', id, method, args });
+        });
+    }
+    
+    /**
+     * Start the simulation
+     * @returns {Promise} Promise resolving once the worker has started
+     */
+    start() {
+        return this.call('start');
+    }
+    
+    /**
+     * Pause the simulation
+     * @returns {Promise} Promise resolving once the worker has paused
+     */
+    pause() {
+        return this.call('pause');
+    }
+    
+    /**
+     * Reset the simulation
+     * @param {Object} options Optional overrides (see Simulation.reset)
+     * @returns {Promise} Promise resolving once the worker has reset
+     */
+    reset(options = {}) {
+        return this.call('reset', options);
+    }
+    
+    /**
+     * Set simulation speed
+     * @param {number} speed Speed multiplier
+     * @returns {Promise} Promise resolving once the speed is applied
+     */
+    setSpeed(speed) {
+        return this.call('setSpeed', speed);
+    }
+    
+    /**
+     * Switch between generational and continuous evolution
+     * @param {string} mode Evolution mode ('generational' or 'continuous')
+     * @returns {Promise} Promise resolving once the mode is applied
+     */
+    setEvolutionMode(mode) {
+        return this.call('setEvolutionMode', mode);
+    }
+    
+    /**
+     * Set environment size
+     * @param {string} size Named size, 'custom' or 'window' (see Simulation.setEnvironmentSize)
+     * @param {Object} dimensions Optional custom dimensions and shape ({ width, height, aspectRatio })
+     * @returns {Promise} Promise resolving once the size is applied
+     */
+    setEnvironmentSize(size, dimensions = {}) {
+        return this.call('setEnvironmentSize', size, dimensions);
+    }
+    
+    /**
+     * Handle window resize event
+     * @param {number} width Window (canvas) width in pixels
+     * @param {number} height Window (canvas) height in pixels
+     * @returns {Promise} Promise resolving once the worker has handled it
+     */
+    handleResize(width, height) {
+        return this.call('handleResize', width, height);
+    }
+    
+    /**
+     * Replace the terrain and obstacles with a map
+     * @param {Object} map Map (see Environment.parseMap)
+     * @returns {Promise} Promise resolving once the map is loaded
+     */
+    loadMap(map) {
+        return this.call('loadMap', map);
+    }
+    
+    /**
+     * Capture the worker's simulation state
+     * @returns {Promise} Promise resolving to the snapshot (see Simulation.serialize)
+     */
+    serialize() {
+        return this.call('serialize');
+    }
+    
+    /**
+     * Restore the worker's simulation from a snapshot
+     * @param {Object|string} snapshot Snapshot object or JSON string
+     * @returns {Promise} Promise resolving once the snapshot is loaded
+     */
+    deserialize(snapshot) {
+        return this.call('deserialize', snapshot);
+    }
+    
+    /**
+     * Export the ancestry of the worker's creatures
+     * @param {string} format 'newick' or 'json' (see Simulation.exportLineage)
+     * @returns {Promise} Promise resolving to the Newick string or graph
+     */
+    exportLineage(format = 'json') {
+        return this.call('exportLineage', format);
+    }
+    
+    /**
+     * The worker runs its own update loop; kept so the proxy can stand in for a Simulation
+     */
+    update() {}
+    
+    /**
+     * Get the latest simulation statistics sent by the worker
+     * @returns {Object} Current stats (see Simulation.getStats)
+     */
+    getStats() {
+        return this.stats || {
+            seed: this.seed,
+            generation: 0,
+            population: 0,
+            averageFitness: 0,
+            maxFitness: 0,
+            resources: 0,
+            species: {},
+            niches: {},
+            ticks: 0,
+            droppedTicks: 0,
+            fps: 0
+        };
+    }
+    
+    /**
+     * Stop the worker; pending commands are rejected
+     */
+    terminate() {
+        this.worker.terminate();
+        this.handleError(new Error('Simulation worker terminated'));
+    }
+    
+    /**
+     * Handle a message from the worker
+     * @param {Object} message Frame, command response or event
+     */
+    handleMessage(message) {
+        switch (message.type) {
+            case 'frame':
+                this.applyFrame(message);
+                break;
+            case 'response': {
+                const request = this.pending.get(message.id);
+                if (!request) return;
+                
+                this.pending.delete(message.id);
+                if (message.error) {
+                    request.reject(new Error(message.error));
+                } else {
+                    request.resolve(message.result);
+                }
+                break;
+            }
+            case 'event':
+                this.dispatchEvent(message.eventType, message.data);
+                break;
+        }
+    }
+    
+    /**
+     * Reject all pending commands after a worker failure
+     * @param {Error|ErrorEvent} error Worker error
+     */
+    handleError(error) {
+        const reason = error instanceof Error ? error : new Error(error.message || 'Simulation worker failed');
+        this.pending.forEach(request => request.reject(reason));
+        this.pending.clear();
+    }
+    
+    /**
+     * Mirror the state from a worker frame and unpack its entity buffers
+     * @param {Object} frame Frame message ({ state, creatures, plants }, see SimulationWorker.postFrame)
+     */
+    applyFrame(frame) {
+        const state = frame.state;
+        this.running = state.running;
+        this.speed = state.speed;
+        this.seed = state.seed;
+        this.generation = state.generation;
+        this.interpolation = state.interpolation;
+        this.fps = state.fps;
+        this.stats = state.stats;
+        
+        // Config, species and terrain only come with frames that follow a command
+        if (state.config) {
+            this.config = state.config;
+            this.environment = Environment.fromJSON(state.terrain);
+            
+            // Colouring a body only needs the species' shade, so the renderer can use Species.colorOf on these
+            this.species = state.species.map(species => ({ ...species, colorOf: Species.prototype.colorOf }));
+        }
+        
+        // The size comes with every frame
+        Object.assign(this.environment, state.environment);
+        
+        // Creatures: x, y, prevX, prevY, radius, species index, hue
+        const creatures = frame.creatures;
+        const creatureStride = SimulationWorker.CREATURE_STRIDE;
+        this.creatures = this.fillViews(this.creaturePool, creatures.length / creatureStride, (view, i) => {
+            const offset = i * creatureStride;
+            view.x = creatures[offset];
+            view.y = creatures[offset + 1];
+            view.prevX = creatures[offset + 2];
+            view.prevY = creatures[offset + 3];
+            view.radius = creatures[offset + 4];
+            view.species = this.species[creatures[offset + 5]];
+            view.genome = view.genome || {};
+            view.genome.hue = creatures[offset + 6];
+        });
+        
+        // Edible plants: x, y, radius
+        const plants = frame.plants;
+        const plantStride = SimulationWorker.PLANT_STRIDE;
+        this.plants = this.fillViews(this.plantPool, plants.length / plantStride, (view, i) => {
+            const offset = i * plantStride;
+            view.x = plants[offset];
+            view.y = plants[offset + 1];
+            view.radius = plants[offset + 2];
+            view.edible = true;
+        });
+        
+        this.dispatchEvent('update', { fps: this.fps });
+    }
+    
+    /**
+     * Update pooled entity views, creating more when the population grows
+     * @param {Array} pool Reusable Entity views
+     * @param {number} count Number of views needed
+     * @param {Function} fill Callback (view, index) copying packed values into a view
+     * @returns {Array} The first count views
+     */
+    fillViews(pool, count, fill) {
+        while (pool.length < count) {
+            pool.push(new Entity());
+        }
+        
+        for (let i = 0; i < count; i++) {
+            fill(pool[i], i);
+        }
+        
+        return pool.slice(0, count);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,201 @@
+/**
+ * Simulation Worker class
+ * Runs a Simulation off the main thread (a Web Worker, or a worker_threads worker in Node.js)
+ * and streams entity state back in transferable buffers for a SimulationProxy to render
+ */
+class SimulationWorker {
+    /**
+     * Create the simulation and start its update loop
+     * @param {Function} post Function sending a message (and optional transfer list) to the main thread
+     */
+    constructor(post) {
+        this.post = post;
+        this.simulation = new Simulation();
+        
+        // Send config and species with the next frame (they only change through commands)
+        this.configChanged = true;
+        
+        // Forward generation events; the creatures themselves cannot be cloned across threads
+        this.simulation.addEventListener('generation', event => {
+            this.post({
+                type: 'event',
+                eventType: 'generation',
+                data: { generation: event.generation, stats: this.simulation.getStats() }
+            });
+        });
+        
+        this.timer = setInterval(() => this.step(), SimulationWorker.FRAME_INTERVAL);
+        this.postFrame();
+    }
+    
+    /**
+     * Advance the simulation and send the new state while it is running
+     */
+    step() {
+        this.simulation.update(performance.now());
+        
+        if (this.simulation.running) {
+            this.postFrame();
+        }
+    }
+    
+    /**
+     * Run a proxied command and reply with its result
+     * @param {Object} message Command message ({ type: 'call', id, method, args })
+     */
+    handleMessage(message) {
+        if (message.type !== 'call') return;
+        
+        const { id, method, args } = message;
+        let response;
+        
+        if (!SimulationWorker.COMMANDS.includes(method)) {
+            response = { type: 'response', id, error: `Unknown simulation command: ${method}` };
+        } else {
+            try {
+                response = { type: 'response', id, result: this.simulation[method](...args) };
+            } catch (error) {
+                response = { type: 'response', id, error: error.message };
+            }
+        }
+        
+        // Send the updated state before the reply so the proxy is current when its promise resolves
+        this.configChanged = true;
+        this.postFrame();
+        this.post(response);
+    }
+    
+    /**
+     * Pack the entities into buffers and transfer them to the main thread
+     *
+     * Creatures use CREATURE_STRIDE floats each: x, y, prevX, prevY, radius, species index, hue
+     * Edible plants use PLANT_STRIDE floats each: x, y, radius
+     */
+    postFrame() {
+        const simulation = this.simulation;
+        const speciesNames = Object.keys(simulation.species);
+        const speciesIndex = new Map(speciesNames.map((name, index) => [name, index]));
+        
+        const creatures = new Float32Array(simulation.creatures.length * SimulationWorker.CREATURE_STRIDE);
+        simulation.creatures.forEach((creature, i) => {
+            const offset = i * SimulationWorker.CREATURE_STRIDE;
+            creatures[offset] = creature.x;
+            creatures[offset + 1] = creature.y;
+            creatures[offset + 2] = creature.prevX;
+            creatures[offset + 3] = creature.prevY;
+            creatures[offset + 4] = creature.radius;
+            creatures[offset + 5] = speciesIndex.get(creature.species.name);
+            creatures[offset + 6] = creature.genome.hue;
+        });
+        
+        const edible = simulation.plants.filter(plant => plant.edible);
+        const plants = new Float32Array(edible.length * SimulationWorker.PLANT_STRIDE);
+        edible.forEach((plant, i) => {
+            const offset = i * SimulationWorker.PLANT_STRIDE;
+            plants[offset] = plant.x;
+            plants[offset + 1] = plant.y;
+            plants[offset + 2] = plant.radius;
+        });
+        
+        const state = {
+            running: simulation.running,
+            speed: simulation.speed,
+            seed: simulation.seed,
+            generation: simulation.generation,
+            interpolation: simulation.interpolation,
+            fps: simulation.fps,
+            environment: {
+                width: simulation.environment.width,
+                height: simulation.environment.height
+            },
+            stats: simulation.getStats()
+        };
+        
+        // Terrain and obstacles only change through commands too (reset, loadMap, resizing)
+        if (this.configChanged) {
+            state.config = simulation.config;
+            state.terrain = simulation.environment.toJSON();
+            state.species = speciesNames.map(name => ({
+                name,
+                color: simulation.species[name].color,
+                shade: simulation.species[name].shade
+            }));
+            this.configChanged = false;
+        }
+        
+        this.post({ type: 'frame', state, creatures, plants }, [creatures.buffer, plants.buffer]);
+    }
+}
+
+// Milliseconds between worker updates (about 60 per second)
+SimulationWorker.FRAME_INTERVAL = 1000 / 60;
+
+// Floats per packed creature and plant (see postFrame)
+SimulationWorker.CREATURE_STRIDE = 7;
+SimulationWorker.PLANT_STRIDE = 3;
+
+// Simulation methods the main thread may call
+SimulationWorker.COMMANDS = [
+    'start',
+    'pause',
+    'reset',
+    'setSpeed',
+    'setEvolutionMode',
+    'setEnvironmentSize',
+    'handleResize',
+    'loadMap',
+    'serialize',
+    'deserialize',
+    'exportLineage'
+];
+
+// Scripts the worker needs, relative to the project root (keep in step with SIMULATION_SCRIPTS in run.js)
+SimulationWorker.SCRIPTS = [
+    'js/utils/Random.js',
+    'js/utils/Noise.js',
+    'js/utils/NeuralNetwork.js',
+    'js/utils/NeuralNetworkBatch.js',
+    'js/utils/InnovationTracker.js',
+    'js/utils/NEATGenome.js',
+    'js/utils/SpatialIndex.js',
+    'js/utils/SpatialGrid.js',
+    'js/utils/QuadTree.js',
+    'js/utils/GeneticAlgorithm.js',
+    'js/utils/Fitness.js',
+    'js/utils/Speciation.js',
+    'js/utils/Lineage.js',
+    'js/environment/Environment.js',
+    'js/environment/Resource.js',
+    'js/environment/Obstacle.js',
+    'js/entities/Entity.js',
+    'js/entities/BodyGenome.js',
+    'js/entities/Creature.js',
+    'js/entities/Plant.js',
+    'js/entities/Sensors.js',
+    'js/entities/Actuators.js',
+    'js/entities/Species.js',
+    'js/core/Config.js',
+    'js/core/Snapshot.js',
+    'js/core/Simulation.js'
+];
+
+// Start when loaded as a Web Worker, or as a worker_threads worker under Node.js
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    importScripts(...SimulationWorker.SCRIPTS.map(script => `../../${script}`));
+    
+    const worker = new SimulationWorker((message, transfer) => self.postMessage(message, transfer));
+    self.onmessage = event => worker.handleMessage(event.data);
+} else if (typeof require === 'function') {
+    const { parentPort, workerData } = require('worker_threads');
+    
+    if (parentPort) {
+        // The simulation logs every state change; stay quiet unless asked
+        if (!workerData || !workerData.verbose) {
+            console.log = () => {};
+        }
+        require('../../run.js').loadSimulation();
+        
+        const worker = new SimulationWorker((message, transfer) => parentPort.postMessage(message, transfer));
+        parentPort.on('message', message => worker.handleMessage(message));
+    }
+}
\ No newline at end of file
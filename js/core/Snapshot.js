@@ -0,0 +1,200 @@
+/**
+ * Snapshot class
+ * Versioned JSON format for saved simulation state, with migration hooks for older versions
+ */
+class Snapshot {
+    /**
+     * Wrap serialized simulation state in the versioned snapshot envelope
+     * @param {Object} state Serialized simulation state
+     * @returns {Object} Snapshot ready for JSON.stringify
+     */
+    static wrap(state) {
+        return {
+            format: Snapshot.FORMAT,
+            version: Snapshot.VERSION,
+            savedAt: new Date().toISOString(),
+            state
+        };
+    }
+    
+    /**
+     * Validate a snapshot and bring it up to the current version
+     * @param {Object|string} snapshot Snapshot object or JSON string
+     * @returns {Object} Simulation state in the current format
+     */
+    static unwrap(snapshot) {
+        const data = typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot;
+        
+        if (!data || data.format !== Snapshot.FORMAT) {
+            throw new Error('Not an ecosystem simulation snapshot');
+        }
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            throw new Error(`Invalid snapshot version: ${data.version}`);
+        }
+        if (data.version > Snapshot.VERSION) {
+            throw new Error(`Snapshot version ${data.version} is newer than the supported version ${Snapshot.VERSION}`);
+        }
+        
+        // Apply migrations one version at a time
+        let state = data.state;
+        for (let version = data.version; version < Snapshot.VERSION; version++) {
+            const migrate = Snapshot.migrations[version];
+            if (!migrate) {
+                throw new Error(`No migration from snapshot version ${version} to ${version + 1}`);
+            }
+            state = migrate(state);
+        }
+        
+        return state;
+    }
+    
+    /**
+     * Register a migration that upgrades state from one version to the next
+     * @param {number} fromVersion Version the migration upgrades from
+     * @param {Function} migrate Function receiving the old state and returning the upgraded state
+     */
+    static registerMigration(fromVersion, migrate) {
+        Snapshot.migrations[fromVersion] = migrate;
+    }
+}
+
+// Identifies snapshot files
+Snapshot.FORMAT = 'ecosystem-simulation-snapshot';
+
+// Current snapshot version (bump when the state layout changes and register a migration)
+Snapshot.VERSION = 10;
+
+// Migrations keyed by the version they upgrade from
+Snapshot.migrations = {};
+
+// Version 2 added the spatial index settings to the configuration
+Snapshot.registerMigration(1, state => ({
+    ...state,
+    config: {
+        ...state.config,
+        spatialIndexConfig: { type: 'grid', cellSize: 100, maxItems: 16, maxDepth: 8 }
+    }
+}));
+
+// Version 3 added NEAT genomes: the brain type and NEAT settings, and each species' innovation numbers
+Snapshot.registerMigration(2, state => ({
+    ...state,
+    config: {
+        ...state.config,
+        neuralNetworkConfig: {
+            type: 'layered',
+            neat: {
+                mutationRates: { addConnection: 0.1, addNode: 0.05, removeConnection: 0.02, removeNode: 0.01 },
+                compatibility: { excess: 1, disjoint: 1, weight: 0.4 }
+            },
+            ...state.config.neuralNetworkConfig
+        }
+    },
+    innovations: {}
+}));
+
+// Version 4 added speciation: its settings and each species' niches
+Snapshot.registerMigration(3, state => ({
+    ...state,
+    config: {
+        ...state.config,
+        speciationConfig: { enabled: true, threshold: 0.25, targetNiches: 4, thresholdAdjustment: 0.1, minThreshold: 0.01 }
+    },
+    speciation: {}
+}));
+
+// Version 5 added the lineage; older snapshots start it from the creatures alive when they were saved
+Snapshot.registerMigration(4, state => ({
+    ...state,
+    lineage: { records: [] }
+}));
+
+// Version 6 made fitness pluggable: the weights moved to fitnessConfig, and creatures keep event counters
+Snapshot.registerMigration(5, state => {
+    const { fitnessWeights, ...ecologyConfig } = state.config.ecologyConfig;
+    const upgradeCreature = ({ energyGathered, offspringCount, ...creature }) => ({
+        ...creature,
+        events: {
+            energyGathered: energyGathered || 0,
+            ticksSurvived: creature.age || 0,
+            distanceTravelled: 0,
+            offspring: offspringCount || 0,
+            preyCaught: 0
+        }
+    });
+    
+    return {
+        ...state,
+        config: {
+            ...state.config,
+            ecologyConfig,
+            fitnessConfig: { function: 'weighted', weights: { ...fitnessWeights } }
+        },
+        creatures: state.creatures.map(upgradeCreature),
+        deceased: state.deceased.map(upgradeCreature)
+    };
+});
+
+// Version 7 moved the plant settings and creatures' starting energy into the configuration
+Snapshot.registerMigration(6, state => ({
+    ...state,
+    config: {
+        ...state.config,
+        ecologyConfig: { initialCreatureEnergy: 100, ...state.config.ecologyConfig },
+        plantConfig: { initialEnergy: 50, maxEnergy: 100, growthRate: 0.05, regrowthDelay: 300, radius: 2 }
+    }
+}));
+
+// Version 8 added custom and non-square environment sizes
+Snapshot.registerMigration(7, state => ({
+    ...state,
+    config: {
+        environmentWidth: 1000,
+        environmentHeight: 1000,
+        aspectRatio: null,
+        ...state.config
+    }
+}));
+
+// Version 9 added terrain and obstacles; older runs continue on flat, open ground
+Snapshot.registerMigration(8, state => ({
+    ...state,
+    config: {
+        ...state.config,
+        terrainConfig: { source: 'flat' }
+    },
+    environment: { ...state.environment, terrain: ['g'], obstacles: [] }
+}));
+
+// Version 10 replaced the shared resource pool with conserved soil nutrients and let plants die.
+// Dormant plants are cleared away, and the conserved total is what the world holds: the energy of
+// living plants and creatures, and the old pool spread evenly over the soil, topped up to the
+// version 10 default so the world does not starve
+Snapshot.registerMigration(9, state => {
+    const { maxResources, resourceRegenerationRate, ...ecologyConfig } = state.config.ecologyConfig;
+    const { regrowthDelay, ...plantConfig } = state.config.plantConfig;
+    const { resources, ...environment } = state.environment;
+    
+    const plants = state.plants
+        .filter(plant => plant.energy > 0)
+        .map(({ regrowthDelay, dormantTime, ...plant }) => plant);
+    const held = [...plants, ...state.creatures.filter(creature => creature.alive)]
+        .reduce((total, entity) => total + Math.max(0, entity.energy), 0);
+    const soilNutrients = Math.max(30000, held + resources);
+    
+    const columns = Math.max(1, Math.round(environment.width / 100));
+    const rows = Math.max(1, Math.round(environment.height / 100));
+    const soil = soilNutrients - held;
+    environment.nutrients = { columns, rows, amounts: Array(columns * rows).fill(soil / (columns * rows)) };
+    
+    return {
+        ...state,
+        config: {
+            ...state.config,
+            ecologyConfig: { ...ecologyConfig, soilNutrients, nutrientCellSize: 100, nutrientDiffusion: 0.01 },
+            plantConfig
+        },
+        environment,
+        plants
+    };
+});
\ No newline at end of file
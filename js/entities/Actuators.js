@@ -0,0 +1,154 @@
+/**
+ * Actuators class
+ * Turns neural network outputs into creature movement and actions
+ */
+class Actuators {
+    /**
+     * Initialize the actuator layer
+     * @param {Object} options Configuration options
+     * @param {Array} options.outputs Names of the outputs, in network output order
+     * @param {number} options.maxTurnRate Maximum turn per tick in radians
+     * @param {number} options.actionThreshold Output level (0-1) above which thresholded actions fire
+     * @param {Object} options.activations Output activation names by output (overrides Actuators.ACTIVATIONS)
+     */
+    constructor(options = {}) {
+        this.outputs = options.outputs || Actuators.OUTPUTS;
+        this.maxTurnRate = options.maxTurnRate !== undefined ? options.maxTurnRate : 0.2;
+        this.actionThreshold = options.actionThreshold !== undefined ? options.actionThreshold : 0.5;
+        
+        // Movement outputs are required, actions are optional
+        ['turn', 'thrust'].forEach(name => {
+            if (!this.outputs.includes(name)) {
+                throw new Error(`Actuator outputs must include '${name}'`);
+            }
+        });
+        this.outputs.forEach(name => {
+            if (!Actuators.ACTIVATIONS[name]) {
+                throw new Error(`Unknown actuator output: ${name}`);
+            }
+        });
+        
+        // Index of each named output in the network output vector
+        this.outputIndex = {};
+        this.outputs.forEach((name, index) => {
+            this.outputIndex[name] = index;
+        });
+        
+        // Activation of each output, used to build brains and to decode their outputs
+        const activations = { ...Actuators.ACTIVATIONS, ...(options.activations || {}) };
+        this.activationNames = this.outputs.map(name => NeuralNetwork.getActivation(activations[name]).name);
+        this.activations = this.activationNames.map(name => NeuralNetwork.getActivation(name));
+    }
+    
+    /**
+     * Number of network outputs consumed per creature
+     * @returns {number} Output count
+     */
+    get size() {
+        return this.outputs.length;
+    }
+    
+    /**
+     * Scale an output to -1..1 according to the range of its activation
+     * @param {number} value Network output
+     * @param {Object} activation Registered activation that produced the output
+     * @returns {number} Signed level (0 is the midpoint)
+     */
+    static level(value, activation) {
+        // Unit outputs (sigmoid, softmax) are centred on 0.5, signed outputs on 0
+        const level = activation.range[0] >= 0 ? value * 2 - 1 : value;
+        return Math.max(-1, Math.min(1, level));
+    }
+    
+    /**
+     * Decode network outputs into actions
+     * Steering is read as a signed level; discrete actions (move, eat, reproduce) whose outputs
+     * come from a softmax compete and only the most likely fires, the others fire above the threshold
+     * @param {Array} outputs Network outputs
+     * @param {Array} activations Registered activation of each output (defaults to this layer's own)
+     * @returns {Object} Decoded actions ({ turn, thrust, move, eat, reproduce })
+     */
+    decode(outputs, activations = this.activations) {
+        const index = this.outputIndex;
+        const threshold = this.actionThreshold * 2 - 1;
+        
+        // Most likely of the softmax actions
+        let choice = null;
+        Actuators.DISCRETE_ACTIONS.forEach(name => {
+            const i = index[name];
+            if (i !== undefined && activations[i].layer && (choice === null || outputs[i] > outputs[index[choice]])) {
+                choice = name;
+            }
+        });
+        
+        const fires = name => {
+            const i = index[name];
+            if (i === undefined) return name === 'move';
+            if (activations[i].layer) return name === choice;
+            return Actuators.level(outputs[i], activations[i]) > threshold;
+        };
+        
+        const move = fires('move');
+        
+        return {
+            turn: Actuators.level(outputs[index.turn], activations[index.turn]),
+            // Map the thrust level to 0-1; a creature that chose not to move stands still
+            thrust: move ? (Actuators.level(outputs[index.thrust], activations[index.thrust]) + 1) / 2 : 0,
+            move,
+            eat: fires('eat'),
+            reproduce: fires('reproduce')
+        };
+    }
+    
+    /**
+     * Apply network outputs to a creature
+     * @param {Object} creature Creature to move
+     * @param {Array} outputs Network outputs
+     * @param {number} deltaTime Time elapsed since last update
+     * @param {Environment} environment Environment to move through
+     * @returns {Object} Decoded actions
+     */
+    apply(creature, outputs, deltaTime, environment) {
+        // Decode with the brain's own output activations (saved brains may predate this species' config)
+        const actions = this.decode(outputs, creature.brain.outputActivations || this.activations);
+        
+        // Steer and move along the new heading, slowed by rough terrain
+        creature.angle += actions.turn * this.maxTurnRate * deltaTime;
+        creature.speed = actions.thrust * creature.genome.topSpeed / environment.movementCostAt(creature.x, creature.y);
+        creature.vx = Math.cos(creature.angle) * creature.speed;
+        creature.vy = Math.sin(creature.angle) * creature.speed;
+        creature.x += creature.vx * deltaTime;
+        creature.y += creature.vy * deltaTime;
+        
+        // Keep within bounds and out of obstacles
+        creature.x = Math.max(0, Math.min(environment.width, creature.x));
+        creature.y = Math.max(0, Math.min(environment.height, creature.y));
+        environment.collide(creature);
+        
+        // Remember intents for eating and reproduction
+        creature.actions = actions;
+        return actions;
+    }
+}
+
+/**
+ * Default network output layout
+ */
+Actuators.OUTPUTS = ['turn', 'thrust', 'eat', 'reproduce'];
+
+/**
+ * Outputs that select an action rather than steer; 'move' lets a creature choose to stand still
+ */
+Actuators.DISCRETE_ACTIONS = ['move', 'eat', 'reproduce'];
+
+/**
+ * Default activation of each output
+ * Use 'softmax' for the discrete actions to make them compete (e.g. outputs [turn, thrust, move, eat, reproduce])
+ */
+Actuators.ACTIVATIONS = {
+    turn: 'tanh',
+    thrust: 'sigmoid',
+    move: 'sigmoid',
+    eat: 'sigmoid',
+    reproduce: 'sigmoid'
+};
\ No newline at end of file
@@ -0,0 +1,161 @@
+/**
+ * Body Genome class
+ * Heritable physical traits of a creature and what they cost: a bigger body reaches food
+ * from further away but is slower and hungrier, and faster legs or longer senses burn extra energy
+ */
+class BodyGenome {
+    /**
+     * Initialize a body genome
+     * @param {Object} traits Trait values (see BodyGenome.TRAITS); missing traits are taken from the baseline
+     * @param {BodyGenome} baseline Species default body the costs are measured against (omit for a default body)
+     */
+    constructor(traits = {}, baseline = null) {
+        this.baseline = baseline || this;
+        
+        Object.keys(BodyGenome.TRAITS).forEach(name => {
+            const value = traits[name] !== undefined ? traits[name] : baseline && baseline[name];
+            if (typeof value !== 'number' || !isFinite(value)) {
+                throw new Error(`Invalid body trait ${name}: ${value}`);
+            }
+            
+            // A species default is taken as configured; bodies measured against it stay within bounds
+            this[name] = baseline ? this.limit(name, value) : value;
+        });
+    }
+    
+    /**
+     * Body mass relative to the species default (area of the body)
+     * @returns {number} Mass ratio
+     */
+    get mass() {
+        const ratio = this.size / this.baseline.size;
+        return ratio * ratio;
+    }
+    
+    /**
+     * Fastest movement per tick; heavier bodies cover less ground for the same legs
+     * @returns {number} Top speed
+     */
+    get topSpeed() {
+        return this.speed * this.baseline.size / this.size;
+    }
+    
+    /**
+     * Energy burned per tick
+     * Scales with mass, and with speed and sense range above the species default
+     * @returns {number} Energy cost per tick
+     */
+    get upkeep() {
+        const costs = BodyGenome.COSTS;
+        const speedCost = 1 + costs.speed * (this.ratio('speed') - 1);
+        const senseCost = 1 + costs.senseRange * (this.ratio('senseRange') - 1);
+        return this.metabolism * this.mass * speedCost * senseCost;
+    }
+    
+    /**
+     * Bite size multiplier; a faster metabolism digests food faster
+     * @returns {number} Multiplier of the configured bite size
+     */
+    get digestion() {
+        return this.ratio('metabolism');
+    }
+    
+    /**
+     * Trait value relative to the species default
+     * @param {string} name Trait name
+     * @returns {number} Ratio to the default (1 when the default is 0)
+     */
+    ratio(name) {
+        const base = this.baseline[name];
+        return base !== 0 ? this[name] / base : 1;
+    }
+    
+    /**
+     * Bring a trait value within its bounds around the species default
+     * @param {string} name Trait name
+     * @param {number} value Trait value
+     * @returns {number} Value clamped to the bounds, or wrapped around them for cyclic traits
+     */
+    limit(name, value) {
+        const trait = BodyGenome.TRAITS[name];
+        if (trait.wrap) {
+            const span = trait.max - trait.min;
+            return trait.min + ((value - trait.min) % span + span) % span;
+        }
+        
+        const base = this.baseline[name];
+        return Math.max(trait.min * base, Math.min(trait.max * base, value));
+    }
+    
+    /**
+     * Mutate the traits in place
+     * @param {number} rate Probability of mutating each trait
+     * @param {number} amount Maximum change, as a multiple of each trait's mutation step
+     * @param {Random} random Random number generator
+     */
+    mutate(rate, amount, random) {
+        Object.entries(BodyGenome.TRAITS).forEach(([name, trait]) => {
+            if (!random.chance(rate)) return;
+            
+            // Cyclic traits (hue) move by a fraction of their range, others relative to their size
+            const change = random.range(-amount, amount) * trait.step;
+            const value = trait.wrap ? this[name] + change * (trait.max - trait.min) : this[name] * (1 + change);
+            this[name] = this.limit(name, value);
+        });
+    }
+    
+    /**
+     * Combine with another genome, taking each trait from either parent
+     * @param {BodyGenome} other Genome of the second parent
+     * @param {Random} random Random number generator
+     * @returns {BodyGenome} Offspring genome
+     */
+    crossover(other, random) {
+        const traits = {};
+        Object.keys(BodyGenome.TRAITS).forEach(name => {
+            traits[name] = random.next() < 0.5 ? this[name] : other[name];
+        });
+        
+        return new BodyGenome(traits, this.baseline);
+    }
+    
+    /**
+     * Create a copy sharing the same baseline
+     * @returns {BodyGenome} Copy of the genome
+     */
+    clone() {
+        return new BodyGenome(this, this.baseline);
+    }
+    
+    /**
+     * Convert the traits to a plain JSON-friendly object
+     * @returns {Object} Trait values by name
+     */
+    toJSON() {
+        const traits = {};
+        Object.keys(BodyGenome.TRAITS).forEach(name => {
+            traits[name] = this[name];
+        });
+        return traits;
+    }
+}
+
+/**
+ * Heritable traits: bounds as multiples of the species default (absolute for wrapping traits)
+ * and mutation step (a fraction of the value, or of the range for wrapping traits)
+ */
+BodyGenome.TRAITS = {
+    size: { min: 0.5, max: 2.5, step: 0.2 },
+    speed: { min: 0.25, max: 2.5, step: 0.2 },
+    senseRange: { min: 1 / 3, max: 8 / 3, step: 0.2 },
+    metabolism: { min: 0.2, max: 5, step: 0.2 },
+    hue: { min: 0, max: 360, step: 0.1, wrap: true }
+};
+
+/**
+ * Extra upkeep per unit of speed and sense range above the species default (0.5 = half the relative increase)
+ */
+BodyGenome.COSTS = {
+    speed: 0.5,
+    senseRange: 0.5
+};
\ No newline at end of file
@@ -0,0 +1,191 @@
+/**
+ * Creature class
+ * A mobile organism with an evolvable body, controlled by a neural network brain
+ */
+class Creature extends Entity {
+    /**
+     * Initialize a creature
+     * @param {Object} options Configuration options (see Entity for shared options)
+     * @param {Species} options.species Species the creature belongs to
+     * @param {NeuralNetwork|NEATGenome} options.brain Brain controlling the creature
+     * @param {Random} options.random Random number generator for a new brain (used when no brain is given)
+     * @param {BodyGenome|Object} options.genome Body genome, or trait values merged over the species defaults
+     * @param {number} options.angle Heading in radians
+     * @param {number} options.energy Starting energy
+     * @param {number} options.generation Generation the creature was born in
+     * @param {Array} options.parentIds Ids of the creature's parents
+     * @param {Object} options.events Event counters to resume from (see Creature.EVENTS)
+     */
+    constructor(options = {}) {
+        const genome = options.genome instanceof BodyGenome
+            ? options.genome
+            : options.species.createGenome(options.genome || {});
+        super({ ...options, radius: genome.size });
+        
+        this.species = options.species;
+        this.brain = options.brain || this.species.createBrain(options.random);
+        this.genome = genome;
+        
+        // Movement state
+        this.angle = options.angle || 0;
+        this.speed = options.speed || 0;
+        this.actions = null;
+        
+        // Metabolism and evaluation
+        this.energy = options.energy !== undefined ? options.energy : Creature.INITIAL_ENERGY;
+        this.fitness = options.fitness || 0;
+        this.events = { ...Creature.EVENTS, ...options.events };
+        
+        // Lineage
+        this.generation = options.generation || 0;
+        this.parentIds = options.parentIds || [];
+        
+        // Reproduction
+        this.reproductionCooldown = options.reproductionCooldown || 0;
+    }
+    
+    /**
+     * Sense, think, act and metabolize
+     * @param {number} deltaTime Time elapsed since last update
+     * @param {Simulation} world Simulation providing the surroundings
+     * @param {Array} outputs Brain outputs already evaluated for this tick (e.g. by a batch)
+     */
+    update(deltaTime, world, outputs = null) {
+        super.update(deltaTime, world);
+        this.reproductionCooldown = Math.max(0, this.reproductionCooldown - deltaTime);
+        
+        // Sense the surroundings and let the brain decide
+        if (!outputs) {
+            outputs = this.brain.feedForward(this.species.sensors.sense(this, world));
+        }
+        
+        // Steer, move and record eat/reproduce intents
+        this.species.actuators.apply(this, outputs, deltaTime, world.environment);
+        this.countEvent('distanceTravelled', Math.hypot(this.x - this.prevX, this.y - this.prevY));
+        this.countEvent('ticksSurvived', deltaTime);
+        
+        this.metabolize(deltaTime, world.environment);
+        this.updateFitness(world.fitness);
+    }
+    
+    /**
+     * Add to one of the creature's event counters
+     * Fitness functions score creatures from these; unknown names start a new counter
+     * @param {string} name Counter name (see Creature.EVENTS)
+     * @param {number} amount Amount to add
+     */
+    countEvent(name, amount = 1) {
+        this.events[name] = (this.events[name] || 0) + amount;
+    }
+    
+    /**
+     * Gain energy from food
+     * @param {number} amount Energy eaten
+     */
+    feed(amount) {
+        this.energy += amount;
+        this.countEvent('energyGathered', amount);
+    }
+    
+    /**
+     * Check whether the creature wants to and is able to reproduce
+     * @param {number} energyThreshold Minimum energy needed to reproduce
+     * @returns {boolean} True if the creature can have offspring now
+     */
+    canReproduce(energyThreshold) {
+        return this.alive &&
+            this.reproductionCooldown <= 0 &&
+            this.energy >= energyThreshold &&
+            !!this.actions && this.actions.reproduce;
+    }
+    
+    /**
+     * Note that the creature had offspring
+     * @param {number} cooldown Ticks before the creature can reproduce again
+     */
+    recordOffspring(cooldown) {
+        this.countEvent('offspring');
+        this.reproductionCooldown = cooldown;
+    }
+    
+    /**
+     * Score the creature with the simulation's fitness function
+     * @param {Fitness} fitness Fitness measure in use
+     */
+    updateFitness(fitness) {
+        this.fitness = fitness.evaluate(this);
+    }
+    
+    /**
+     * Burn energy to stay alive; what is burnt goes back to the soil as waste
+     * @param {number} deltaTime Time elapsed since last update
+     * @param {Environment} environment Environment the creature lives in
+     */
+    metabolize(deltaTime, environment) {
+        const burnt = Math.max(0, Math.min(this.energy, this.genome.upkeep * deltaTime));
+        this.energy -= burnt;
+        environment.nutrients.deposit(this.x, this.y, burnt);
+    }
+    
+    /**
+     * Return the energy left in the body to the soil
+     * @param {Simulation} world Simulation the creature lived in
+     */
+    onDeath(world) {
+        world.environment.nutrients.deposit(this.x, this.y, this.energy);
+    }
+    
+    /**
+     * Convert creature to a plain JSON-friendly object
+     * @returns {Object} Serialized creature
+     */
+    serialize() {
+        return {
+            ...super.serialize(),
+            type: 'creature',
+            species: this.species.name,
+            angle: this.angle,
+            speed: this.speed,
+            energy: this.energy,
+            fitness: this.fitness,
+            events: { ...this.events },
+            generation: this.generation,
+            parentIds: [...this.parentIds],
+            reproductionCooldown: this.reproductionCooldown,
+            genome: this.genome.toJSON(),
+            brain: this.brain.toJSON()
+        };
+    }
+    
+    /**
+     * Recreate a creature from its serialized form
+     * @param {Object} data Serialized creature
+     * @param {Object} species Species keyed by name
+     * @returns {Creature} Restored creature
+     */
+    static deserialize(data, species) {
+        if (!species[data.species]) {
+            throw new Error(`Unknown species in saved creature: ${data.species}`);
+        }
+        
+        const creature = new Creature({
+            ...data,
+            species: species[data.species],
+            brain: species[data.species].brainFromJSON(data.brain)
+        });
+        creature.alive = data.alive;
+        return creature;
+    }
+}
+
+// Energy a newborn creature starts with
+Creature.INITIAL_ENERGY = 100;
+
+// Event counters every creature keeps, with their starting values (see countEvent)
+Creature.EVENTS = {
+    energyGathered: 0, // Energy eaten from plants and prey
+    ticksSurvived: 0,
+    distanceTravelled: 0,
+    offspring: 0, // Children born in continuous mode
+    preyCaught: 0
+};
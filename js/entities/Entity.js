@@ -0,0 +1,120 @@
+/**
+ * Entity base class
+ * Shared identity, physical state and lifecycle for everything living in the simulation
+ */
+class Entity {
+    /**
+     * Initialize an entity
+     * @param {Object} options Configuration options
+     * @param {number} options.id Unique identifier (assigned automatically if omitted)
+     * @param {number} options.x Horizontal position
+     * @param {number} options.y Vertical position
+     * @param {number} options.vx Horizontal velocity
+     * @param {number} options.vy Vertical velocity
+     * @param {number} options.radius Collision and rendering radius
+     * @param {number} options.age Age in simulation ticks
+     */
+    constructor(options = {}) {
+        this.id = options.id !== undefined ? options.id : Entity.nextId++;
+        this.x = options.x || 0;
+        this.y = options.y || 0;
+        this.prevX = this.x; // Position at the start of the current tick
+        this.prevY = this.y;
+        this.vx = options.vx || 0;
+        this.vy = options.vy || 0;
+        this.radius = options.radius || 1;
+        this.age = options.age || 0;
+        this.alive = true;
+        
+        // Keep the id counter ahead of restored ids
+        Entity.nextId = Math.max(Entity.nextId, this.id + 1);
+    }
+    
+    /**
+     * Advance the entity by one update
+     * @param {number} deltaTime Time elapsed since last update
+     * @param {Simulation} world Simulation the entity lives in
+     */
+    update(deltaTime, world) {
+        this.prevX = this.x;
+        this.prevY = this.y;
+        this.age += deltaTime;
+    }
+    
+    /**
+     * Horizontal position blended between the last two ticks
+     * @param {number} alpha Fraction of a tick elapsed since the last one (0-1)
+     * @returns {number} Interpolated x
+     */
+    interpolatedX(alpha) {
+        return this.prevX + (this.x - this.prevX) * alpha;
+    }
+    
+    /**
+     * Vertical position blended between the last two ticks
+     * @param {number} alpha Fraction of a tick elapsed since the last one (0-1)
+     * @returns {number} Interpolated y
+     */
+    interpolatedY(alpha) {
+        return this.prevY + (this.y - this.prevY) * alpha;
+    }
+    
+    /**
+     * Mark the entity as dead and run its death hook
+     * @param {Simulation} world Simulation the entity lives in
+     */
+    die(world) {
+        if (!this.alive) return;
+        
+        this.alive = false;
+        this.onDeath(world);
+    }
+    
+    /**
+     * Hook called once when the entity dies
+     * @param {Simulation} world Simulation the entity lives in
+     */
+    onDeath(world) {
+        // Subclasses override to release resources or record statistics
+    }
+    
+    /**
+     * Distance to another entity
+     * @param {Entity} other Other entity
+     * @returns {number} Distance between centres
+     */
+    distanceTo(other) {
+        const dx = other.x - this.x;
+        const dy = other.y - this.y;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+    
+    /**
+     * Check whether this entity overlaps another
+     * @param {Entity} other Other entity
+     * @returns {boolean} True if the two circles touch
+     */
+    overlaps(other) {
+        return this.distanceTo(other) <= this.radius + other.radius;
+    }
+    
+    /**
+     * Convert entity to a plain JSON-friendly object
+     * @returns {Object} Serialized entity
+     */
+    serialize() {
+        return {
+            id: this.id,
+            x: this.x,
+            y: this.y,
+            vx: this.vx,
+            vy: this.vy,
+            radius: this.radius,
+            age: this.age,
+            alive: this.alive
+        };
+    }
+}
+
+// Next id handed out to a new entity
+Entity.nextId = 1;
\ No newline at end of file
@@ -0,0 +1,99 @@
+/**
+ * Plant class
+ * A stationary food source that grows on nutrients drawn from the soil beneath it
+ */
+class Plant extends Entity {
+    /**
+     * Initialize a plant
+     * @param {Object} options Configuration options (see Entity for shared options)
+     * @param {number} options.energy Starting energy
+     * @param {number} options.maxEnergy Energy at full growth
+     * @param {number} options.growthRate Nutrients drawn per tick while growing
+     * @param {number} options.upkeep Energy returned to the soil per tick
+     */
+    constructor(options = {}) {
+        super({ radius: 2, ...options });
+        
+        this.energy = options.energy !== undefined ? options.energy : 50;
+        this.maxEnergy = options.maxEnergy || 100;
+        this.growthRate = options.growthRate !== undefined ? options.growthRate : 0.05;
+        this.upkeep = options.upkeep !== undefined ? options.upkeep : 0.01;
+    }
+    
+    /**
+     * Whether the plant currently has anything to eat
+     * @returns {boolean} True if the plant has energy
+     */
+    get edible() {
+        return this.energy > 0;
+    }
+    
+    /**
+     * Grow on the soil's nutrients and return the upkeep to it
+     * A plant on exhausted soil burns more than it draws, so it withers and dies
+     * @param {number} deltaTime Time elapsed since last update
+     * @param {Simulation} world Simulation the plant lives in
+     */
+    update(deltaTime, world) {
+        super.update(deltaTime, world);
+        
+        // The terrain sets the pace of growth
+        const environment = world.environment;
+        this.grow(deltaTime * environment.growthAt(this.x, this.y), environment.nutrients);
+        
+        const spent = Math.min(this.energy, this.upkeep * deltaTime);
+        this.energy -= spent;
+        environment.nutrients.deposit(this.x, this.y, spent);
+    }
+    
+    /**
+     * Grow towards full energy, drawing the nutrients from the soil beneath
+     * @param {number} deltaTime Time elapsed since last update
+     * @param {Resource} nutrients Soil nutrients
+     */
+    grow(deltaTime, nutrients) {
+        const wanted = Math.min(this.maxEnergy - this.energy, this.growthRate * deltaTime);
+        if (wanted > 0) {
+            this.energy += nutrients.withdraw(this.x, this.y, wanted);
+        }
+    }
+    
+    /**
+     * Remove energy from the plant
+     * @param {number} amount Energy requested
+     * @returns {number} Energy actually removed
+     */
+    consume(amount) {
+        const eaten = Math.max(0, Math.min(amount, this.energy));
+        this.energy -= eaten;
+        
+        // A fully eaten plant dies and is removed at the end of the tick
+        return eaten;
+    }
+    
+    /**
+     * Convert plant to a plain JSON-friendly object
+     * @returns {Object} Serialized plant
+     */
+    serialize() {
+        return {
+            ...super.serialize(),
+            type: 'plant',
+            energy: this.energy,
+            maxEnergy: this.maxEnergy,
+            growthRate: this.growthRate,
+            upkeep: this.upkeep
+        };
+    }
+    
+    /**
+     * Recreate a plant from its serialized form
+     * @param {Object} data Serialized plant
+     * @returns {Plant} Restored plant
+     */
+    static deserialize(data) {
+        const plant = new Plant(data);
+        plant.alive = data.alive;
+        return plant;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,228 @@
+/**
+ * Sensors class
+ * Translates a creature's surroundings into neural network input values
+ */
+class Sensors {
+    /**
+     * Initialize the sensor layer
+     * @param {Object} options Configuration options
+     * @param {Array} options.channels Names of the sensor channels, one per network input
+     * @param {number} options.energyScale Energy level that reads as a full energy sensor
+     */
+    constructor(options = {}) {
+        this.channels = options.channels || Sensors.DEFAULT_CHANNELS;
+        this.energyScale = options.energyScale || 100;
+        
+        // Reused spatial query results, so scanning allocates nothing
+        this.nearbyPlants = [];
+        this.nearbyCreatures = [];
+        
+        // Make sure every channel has a reader
+        this.channels.forEach(name => {
+            if (!Sensors.CHANNELS[name]) {
+                throw new Error(`Unknown sensor channel: ${name}`);
+            }
+        });
+    }
+    
+    /**
+     * Number of input values produced per creature
+     * @returns {number} Sensor count
+     */
+    get size() {
+        return this.channels.length;
+    }
+    
+    /**
+     * Read all sensor channels for a creature
+     * @param {Creature} creature Creature doing the sensing
+     * @param {Simulation} world Simulation providing creatures, plants and environment
+     * @param {Array} inputs Array to write the values into (e.g. a NeuralNetworkBatch input view)
+     * @returns {Array} Input values, one per channel
+     */
+    sense(creature, world, inputs = new Array(this.channels.length)) {
+        const context = this.scan(creature, world);
+        
+        for (let i = 0; i < this.channels.length; i++) {
+            inputs[i] = Sensors.CHANNELS[this.channels[i]](creature, context, world, this);
+        }
+        
+        return inputs;
+    }
+    
+    /**
+     * Scan the surroundings for the nearest food, threat and member of the same species
+     * within the creature's sense range (a body trait)
+     * Uses the world's spatial indexes when it has them, otherwise checks every entity
+     * @param {Creature} creature Creature doing the sensing
+     * @param {Simulation} world Simulation providing creatures and plants (and creatureIndex, plantIndex)
+     * @returns {Object} Sense range, nearest entities, their distances and the amount of food in range
+     */
+    scan(creature, world) {
+        const species = creature.species;
+        const range = creature.genome.senseRange;
+        const rangeSq = range * range;
+        const context = {
+            range,
+            food: null,
+            foodDistance: Infinity,
+            threat: null,
+            threatDistance: Infinity,
+            kin: null,
+            kinDistance: Infinity,
+            foodInRange: 0
+        };
+        
+        // Squared distance to an entity, or Infinity when out of range
+        const distanceSqTo = entity => {
+            const dx = entity.x - creature.x;
+            const dy = entity.y - creature.y;
+            const distSq = dx * dx + dy * dy;
+            return distSq <= rangeSq ? distSq : Infinity;
+        };
+        
+        // Candidates near the creature (ties on distance go to the lower id, whatever the order)
+        let plants = world.plants;
+        let creatures = world.creatures;
+        if (world.plantIndex && world.creatureIndex) {
+            this.nearbyPlants.length = 0;
+            this.nearbyCreatures.length = 0;
+            plants = world.plantIndex.queryRadius(creature.x, creature.y, range, this.nearbyPlants);
+            creatures = world.creatureIndex.queryRadius(creature.x, creature.y, range, this.nearbyCreatures);
+        }
+        
+        if (species.eatsPlants) {
+            plants.forEach(plant => {
+                if (!plant.edible) return;
+                
+                const distSq = distanceSqTo(plant);
+                if (distSq === Infinity) return;
+                
+                context.foodInRange++;
+                if (SpatialIndex.isCloser(distSq, plant, context.foodDistance, context.food)) {
+                    context.foodDistance = distSq;
+                    context.food = plant;
+                }
+            });
+        }
+        
+        creatures.forEach(other => {
+            if (other === creature) return;
+            
+            const distSq = distanceSqTo(other);
+            if (distSq === Infinity) return;
+            
+            if (species.canEat(other)) {
+                context.foodInRange++;
+                if (SpatialIndex.isCloser(distSq, other, context.foodDistance, context.food)) {
+                    context.foodDistance = distSq;
+                    context.food = other;
+                }
+            }
+            
+            if (other.species.canEat(creature) && SpatialIndex.isCloser(distSq, other, context.threatDistance, context.threat)) {
+                context.threatDistance = distSq;
+                context.threat = other;
+            }
+            
+            if (other.species === species && SpatialIndex.isCloser(distSq, other, context.kinDistance, context.kin)) {
+                context.kinDistance = distSq;
+                context.kin = other;
+            }
+        });
+        
+        // Convert squared distances once the nearest entities are known
+        context.foodDistance = Math.sqrt(context.foodDistance);
+        context.threatDistance = Math.sqrt(context.threatDistance);
+        context.kinDistance = Math.sqrt(context.kinDistance);
+        
+        return context;
+    }
+    
+    /**
+     * Normalize a distance to the 0-1 range (1 when nothing is in range)
+     * @param {number} distance Distance to normalize
+     * @param {number} range Sense range of the creature
+     * @returns {number} Normalized distance
+     */
+    static normalizeDistance(distance, range) {
+        return Math.min(1, distance / range);
+    }
+    
+    /**
+     * Wrap an angle to -PI..PI and scale it to -1..1
+     * @param {number} angle Angle in radians
+     * @returns {number} Normalized angle
+     */
+    static normalizeAngle(angle) {
+        return Math.atan2(Math.sin(angle), Math.cos(angle)) / Math.PI;
+    }
+    
+    /**
+     * Angle to a target relative to the creature's heading
+     * @param {Creature} creature Creature doing the sensing
+     * @param {Entity} target Target entity (or null)
+     * @returns {number} Relative angle scaled to -1..1 (0 when there is no target)
+     */
+    static relativeAngle(creature, target) {
+        if (!target) return 0;
+        
+        return Sensors.normalizeAngle(Math.atan2(target.y - creature.y, target.x - creature.x) - creature.angle);
+    }
+    
+    /**
+     * Distance from a creature to the boundary or an obstacle along its heading
+     * @param {Creature} creature Creature doing the sensing
+     * @param {Environment} environment Environment with its obstacles
+     * @returns {number} Distance to the wall straight ahead
+     */
+    static distanceToWallAhead(creature, environment) {
+        return environment.raycast(creature.x, creature.y, creature.angle);
+    }
+}
+
+/**
+ * Sensor channel readers, keyed by channel name
+ * Each reader receives (creature, context, world, sensors) and returns a number
+ */
+Sensors.CHANNELS = {
+    foodDistance: (creature, context) => Sensors.normalizeDistance(context.foodDistance, context.range),
+    foodAngle: (creature, context) => Sensors.relativeAngle(creature, context.food),
+    foodHeading: (creature, context) =>
+        context.food && context.food.angle !== undefined ? Sensors.normalizeAngle(context.food.angle - creature.angle) : 0,
+    foodDensity: (creature, context) => Math.min(1, context.foodInRange / 10),
+    threatDistance: (creature, context) => Sensors.normalizeDistance(context.threatDistance, context.range),
+    threatAngle: (creature, context) => Sensors.relativeAngle(creature, context.threat),
+    kinDistance: (creature, context) => Sensors.normalizeDistance(context.kinDistance, context.range),
+    kinAngle: (creature, context) => Sensors.relativeAngle(creature, context.kin),
+    energy: (creature, context, world, sensors) => Math.max(0, Math.min(1, creature.energy / sensors.energyScale)),
+    wallAhead: (creature, context, world) =>
+        Sensors.normalizeDistance(Sensors.distanceToWallAhead(creature, world.environment), context.range),
+    wallProximity: (creature, context, world) => Sensors.normalizeDistance(Math.min(
+        creature.x,
+        creature.y,
+        world.environment.width - creature.x,
+        world.environment.height - creature.y
+    ), context.range),
+    speed: creature => (creature.genome.topSpeed > 0 ? Math.min(1, creature.speed / creature.genome.topSpeed) : 0),
+    // Rough going reads towards 1, open ground 0
+    terrainCost: (creature, context, world) => 1 - 1 / world.environment.movementCostAt(creature.x, creature.y),
+    fertility: (creature, context, world) => Math.min(1, world.environment.growthAt(creature.x, creature.y)),
+    bias: () => 1
+};
+
+/**
+ * Default channel layout (a forager that watches for predators)
+ */
+Sensors.DEFAULT_CHANNELS = [
+    'foodDistance',
+    'foodAngle',
+    'threatDistance',
+    'threatAngle',
+    'energy',
+    'wallAhead',
+    'wallProximity',
+    'speed',
+    'foodDensity',
+    'bias'
+];
\ No newline at end of file
@@ -0,0 +1,193 @@
+/**
+ * Species class
+ * Describes a kind of creature: its diet, body, senses, actions and appearance
+ */
+class Species {
+    /**
+     * Initialize a species
+     * @param {string} name Species name (e.g. 'herbivore')
+     * @param {Object} options Configuration options
+     * @param {boolean} options.eatsPlants Whether the species feeds on plants
+     * @param {Array} options.prey Names of species this species hunts
+     * @param {string} options.color Rendering colour
+     * @param {number} options.size Default body radius
+     * @param {number} options.maxSpeed Default maximum movement per tick
+     * @param {number} options.maxTurnRate Maximum turn per tick in radians
+     * @param {number} options.metabolism Default energy burned per tick
+     * @param {number} options.sensorRange Default maximum sensing distance
+     * @param {Array} options.sensors Sensor channel names (the network inputs)
+     * @param {Array} options.outputs Actuator output names (the network outputs)
+     * @param {string} options.brainType Brain kind: 'layered' (fixed hiddenLayers) or 'neat' (evolving topology)
+     * @param {Array} options.hiddenLayers Hidden layer sizes of the brain (layered brains only)
+     * @param {Object} options.neat NEAT genome options ({ mutationRates, compatibility }, see NEATGenome)
+     * @param {string} options.activation Activation name of the brain's hidden layers
+     * @param {Object} options.outputActivations Activation names by output (see Actuators.ACTIVATIONS)
+     * @param {Object} options.speciation Niche clustering options (see Speciation)
+     * @param {number} options.initialCount Number of creatures per generation
+     */
+    constructor(name, options = {}) {
+        this.name = name;
+        this.eatsPlants = options.eatsPlants !== undefined ? options.eatsPlants : true;
+        this.prey = options.prey || [];
+        this.color = options.color || '#39f';
+        this.initialCount = options.initialCount || 0;
+        this.brainType = options.brainType || 'layered';
+        this.hiddenLayers = options.hiddenLayers || [8, 6];
+        this.neat = options.neat || {};
+        
+        if (!Species.BRAIN_TYPES.includes(this.brainType)) {
+            throw new Error(`Unknown brain type for species '${name}': ${this.brainType}`);
+        }
+        
+        // Fail early on a misspelled activation rather than at the first birth
+        this.activation = NeuralNetwork.getActivation(options.activation || 'leakyReLU').name;
+        
+        // Default body for newborn creatures; bodies evolve from here (see BodyGenome)
+        this.shade = Species.parseColor(this.color);
+        this.genome = new BodyGenome({
+            size: options.size !== undefined ? options.size : 3,
+            speed: options.maxSpeed !== undefined ? options.maxSpeed : 2,
+            senseRange: options.sensorRange !== undefined ? options.sensorRange : 150,
+            metabolism: options.metabolism !== undefined ? options.metabolism : 0.1,
+            hue: this.shade.hue
+        });
+        
+        // Network I/O layers
+        this.sensors = new Sensors({
+            channels: options.sensors
+        });
+        this.actuators = new Actuators({
+            outputs: options.outputs,
+            maxTurnRate: options.maxTurnRate,
+            activations: options.outputActivations
+        });
+        
+        // NEAT genomes of a species share innovation numbers so they can be aligned
+        this.innovations = this.brainType === 'neat'
+            ? new InnovationTracker(this.sensors.size, this.actuators.size)
+            : null;
+        
+        // Niches of similar brains within the species
+        this.speciation = new Speciation(options.speciation);
+    }
+    
+    /**
+     * Network layer sizes for this species' brains
+     * @returns {Array} Layer sizes from inputs to outputs
+     */
+    get layers() {
+        return [this.sensors.size, ...this.hiddenLayers, this.actuators.size];
+    }
+    
+    /**
+     * Create a random brain wired for this species' sensors and actuators
+     * @param {Random} random Random number generator for the initial weights
+     * @returns {NeuralNetwork|NEATGenome} New brain of the species' brain type
+     */
+    createBrain(random) {
+        if (this.brainType === 'neat') {
+            return new NEATGenome({
+                ...this.neat,
+                inputSize: this.sensors.size,
+                outputSize: this.actuators.size,
+                activation: this.activation,
+                outputActivation: this.actuators.activationNames,
+                innovations: this.innovations,
+                random
+            });
+        }
+        
+        return new NeuralNetwork({
+            inputSize: this.sensors.size,
+            hiddenLayers: this.hiddenLayers,
+            outputSize: this.actuators.size,
+            activation: this.activation,
+            outputActivation: this.actuators.activationNames,
+            random
+        });
+    }
+    
+    /**
+     * Create a body genome measured against this species' default body
+     * @param {Object} traits Trait values (missing traits take the species default)
+     * @returns {BodyGenome} New body genome
+     */
+    createGenome(traits = {}) {
+        return new BodyGenome(traits, this.genome);
+    }
+    
+    /**
+     * Rendering colour of a body: its evolved hue in the species' saturation and lightness
+     * @param {BodyGenome} genome Body genome
+     * @returns {string} CSS colour
+     */
+    colorOf(genome) {
+        return `hsl(${Math.round(genome.hue)}, ${this.shade.saturation}%, ${this.shade.lightness}%)`;
+    }
+    
+    /**
+     * Recreate a saved brain of either type
+     * NEAT genomes rejoin this species' innovation numbers
+     * @param {Object} json Brain JSON (see NeuralNetwork.toJSON and NEATGenome.toJSON)
+     * @returns {NeuralNetwork|NEATGenome} Restored brain
+     */
+    brainFromJSON(json) {
+        if (json.type === 'neat') {
+            return NEATGenome.fromJSON(json, {
+                ...this.neat,
+                innovations: this.innovations || undefined
+            });
+        }
+        
+        return NeuralNetwork.fromJSON(json);
+    }
+    
+    /**
+     * Check whether this species can eat an entity
+     * @param {Entity} entity Plant or creature
+     * @returns {boolean} True if the entity is food for this species
+     */
+    canEat(entity) {
+        if (entity instanceof Plant) {
+            return this.eatsPlants && entity.edible;
+        }
+        
+        return entity instanceof Creature && this.prey.includes(entity.species.name);
+    }
+    
+    /**
+     * Convert a hex colour ('#39f' or '#3399ff') to hue, saturation and lightness
+     * @param {string} color Hex colour
+     * @returns {Object} Hue in degrees, saturation and lightness in percent
+     */
+    static parseColor(color) {
+        const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color);
+        if (!match) {
+            throw new Error(`Invalid species colour: ${color}`);
+        }
+        
+        const hex = match[1].length === 3 ? match[1].replace(/./g, digit => digit + digit) : match[1];
+        const [r, g, b] = [0, 2, 4].map(offset => parseInt(hex.substr(offset, 2), 16) / 255);
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        const lightness = (max + min) / 2;
+        const chroma = max - min;
+        
+        let hue = 0;
+        if (chroma > 0) {
+            if (max === r) hue = ((g - b) / chroma + 6) % 6;
+            else if (max === g) hue = (b - r) / chroma + 2;
+            else hue = (r - g) / chroma + 4;
+        }
+        
+        const saturation = chroma > 0 ? chroma / (1 - Math.abs(2 * lightness - 1)) : 0;
+        return {
+            hue: hue * 60,
+            saturation: Math.round(saturation * 100),
+            lightness: Math.round(lightness * 100)
+        };
+    }
+}
+
+// Supported brain kinds
+Species.BRAIN_TYPES = ['layered', 'neat'];
\ No newline at end of file
@@ -0,0 +1,487 @@
+/**
+ * Environment class
+ * The world the creatures live in: its size, the nutrients in its soil, a grid of terrain
+ * cells that set how well plants grow and how hard it is to move, and impassable obstacles
+ *
+ * The terrain grid stretches over the whole area, so resizing the environment scales the
+ * terrain with it. Terrain comes from seeded noise (generate), a map (loadMap) or stays flat
+ */
+class Environment {
+    /**
+     * Initialize a flat, open environment
+     * @param {number} width Width in pixels
+     * @param {number} height Height in pixels
+     * @param {Object} options Configuration options
+     * @param {number} options.nutrientCellSize Side length of a nutrient cell
+     */
+    constructor(width, height, options = {}) {
+        this.width = width;
+        this.height = height;
+        
+        // Soil nutrients, empty until distributed
+        this.nutrients = new Resource(width, height, { cellSize: options.nutrientCellSize });
+        
+        // Terrain type of each cell, row by row, as an index into Environment.TYPES
+        this.columns = 1;
+        this.rows = 1;
+        this.terrain = new Uint8Array(1).fill(Environment.typeIndex('grassland'));
+        this.obstacles = [];
+        
+        // Bumped whenever the terrain changes, so renderers know to redraw it
+        this.version = 0;
+    }
+    
+    /**
+     * Width of a terrain cell
+     * @returns {number} Cell width in pixels
+     */
+    get cellWidth() {
+        return this.width / this.columns;
+    }
+    
+    /**
+     * Height of a terrain cell
+     * @returns {number} Cell height in pixels
+     */
+    get cellHeight() {
+        return this.height / this.rows;
+    }
+    
+    /**
+     * Replace the terrain grid
+     * @param {number} columns Number of columns
+     * @param {number} rows Number of rows
+     * @param {Uint8Array} terrain Type index of each cell, row by row
+     */
+    setTerrain(columns, rows, terrain) {
+        if (terrain.length !== columns * rows) {
+            throw new Error(`Terrain has ${terrain.length} cells, expected ${columns}x${rows}`);
+        }
+        
+        this.columns = columns;
+        this.rows = rows;
+        this.terrain = terrain;
+        this.version++;
+    }
+    
+    /**
+     * Index of the terrain cell containing a position (positions outside use the nearest cell)
+     * @param {number} x X coordinate
+     * @param {number} y Y coordinate
+     * @returns {number} Cell index
+     */
+    cellAt(x, y) {
+        const column = Math.max(0, Math.min(this.columns - 1, Math.floor(x / this.cellWidth)));
+        const row = Math.max(0, Math.min(this.rows - 1, Math.floor(y / this.cellHeight)));
+        return row * this.columns + column;
+    }
+    
+    /**
+     * Terrain at a position
+     * @param {number} x X coordinate
+     * @param {number} y Y coordinate
+     * @returns {Object} Terrain type (see Environment.TERRAIN)
+     */
+    terrainAt(x, y) {
+        return Environment.TERRAIN[Environment.TYPES[this.terrain[this.cellAt(x, y)]]];
+    }
+    
+    /**
+     * Plant growth multiplier at a position
+     * @param {number} x X coordinate
+     * @param {number} y Y coordinate
+     * @returns {number} Growth multiplier (0 where nothing grows)
+     */
+    growthAt(x, y) {
+        return this.terrainAt(x, y).growth;
+    }
+    
+    /**
+     * Movement cost at a position; creatures move this many times slower than on open ground
+     * @param {number} x X coordinate
+     * @param {number} y Y coordinate
+     * @returns {number} Movement cost (1 on grassland)
+     */
+    movementCostAt(x, y) {
+        return this.terrainAt(x, y).movementCost;
+    }
+    
+    /**
+     * Whether a circle overlaps any obstacle
+     * @param {number} x X coordinate of the centre
+     * @param {number} y Y coordinate of the centre
+     * @param {number} radius Radius (0 for a point)
+     * @returns {boolean} True if it is blocked
+     */
+    isBlocked(x, y, radius = 0) {
+        return this.obstacles.some(obstacle => obstacle.overlaps(x, y, radius));
+    }
+    
+    /**
+     * Push an entity out of any obstacle it overlaps, keeping it within bounds
+     * @param {Entity} entity Entity with x, y and radius
+     * @returns {boolean} True if the entity had to be moved
+     */
+    collide(entity) {
+        let moved = false;
+        this.obstacles.forEach(obstacle => {
+            if (obstacle.pushOut(entity)) moved = true;
+        });
+        
+        if (moved) {
+            entity.x = Math.max(0, Math.min(this.width, entity.x));
+            entity.y = Math.max(0, Math.min(this.height, entity.y));
+        }
+        return moved;
+    }
+    
+    /**
+     * Distance along a heading to the boundary or the nearest obstacle
+     * @param {number} x X coordinate of the origin
+     * @param {number} y Y coordinate of the origin
+     * @param {number} angle Heading in radians
+     * @returns {number} Distance to the first thing in the way
+     */
+    raycast(x, y, angle) {
+        const dx = Math.cos(angle);
+        const dy = Math.sin(angle);
+        let distance = Infinity;
+        
+        if (dx > 0) distance = Math.min(distance, (this.width - x) / dx);
+        if (dx < 0) distance = Math.min(distance, -x / dx);
+        if (dy > 0) distance = Math.min(distance, (this.height - y) / dy);
+        if (dy < 0) distance = Math.min(distance, -y / dy);
+        
+        this.obstacles.forEach(obstacle => {
+            distance = Math.min(distance, obstacle.raycast(x, y, dx, dy));
+        });
+        
+        return Math.max(0, distance);
+    }
+    
+    /**
+     * Pick a random position clear of obstacles
+     * Draws x then y, and only draws again when a position is rejected, so an open
+     * environment consumes the random stream exactly like two range() calls
+     * @param {Random} random Random number generator
+     * @param {Object} options Placement options
+     * @param {number} options.radius Clearance needed around the position
+     * @param {boolean} options.fertile Only accept positions where plants grow
+     * @returns {Object} Position ({ x, y }); the last one tried if none was acceptable
+     */
+    randomPosition(random, options = {}) {
+        let position = null;
+        
+        for (let attempt = 0; attempt < Environment.PLACEMENT_ATTEMPTS; attempt++) {
+            position = { x: random.range(0, this.width), y: random.range(0, this.height) };
+            
+            if (this.isBlocked(position.x, position.y, options.radius || 0)) continue;
+            if (options.fertile && this.growthAt(position.x, position.y) === 0) continue;
+            
+            return position;
+        }
+        
+        return position;
+    }
+    
+    /**
+     * Change the dimensions, stretching the terrain, nutrients and obstacles with them
+     * @param {number} width New width
+     * @param {number} height New height
+     */
+    resize(width, height) {
+        const scaleX = width / this.width;
+        const scaleY = height / this.height;
+        this.obstacles.forEach(obstacle => obstacle.scale(scaleX, scaleY));
+        this.nutrients.resize(width, height);
+        
+        this.width = width;
+        this.height = height;
+    }
+    
+    /**
+     * Generate terrain and obstacles procedurally from seeded noise
+     * Elevation decides water (lowest) and rock (highest), moisture turns the driest land into desert.
+     * Cells are ranked rather than thresholded, so the fractions hold on every seed
+     * @param {Random} random Random number generator
+     * @param {Object} options Generation settings (see terrainConfig in Config.SCHEMA)
+     * @param {number} options.cellSize Side length of a terrain cell
+     * @param {number} options.noiseScale Size of the landforms
+     * @param {number} options.octaves Noise octaves (more adds finer detail)
+     * @param {number} options.waterFraction Fraction of cells that are water
+     * @param {number} options.rockFraction Fraction of cells that are rock
+     * @param {number} options.desertFraction Fraction of the remaining land that is desert
+     * @param {number} options.obstacleCount Number of obstacles, placed on rock where there is any
+     * @param {number} options.obstacleSize Largest obstacle radius
+     */
+    generate(random, options) {
+        const columns = Math.max(1, Math.round(this.width / options.cellSize));
+        const rows = Math.max(1, Math.round(this.height / options.cellSize));
+        const count = columns * rows;
+        
+        // Sample the noise at cell centres, in units of the landform size
+        const elevationNoise = new Noise(random);
+        const moistureNoise = new Noise(random);
+        const elevation = new Float32Array(count);
+        const moisture = new Float32Array(count);
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                const x = (column + 0.5) * this.width / columns / options.noiseScale;
+                const y = (row + 0.5) * this.height / rows / options.noiseScale;
+                elevation[row * columns + column] = elevationNoise.fractal(x, y, options.octaves);
+                moisture[row * columns + column] = moistureNoise.fractal(x, y, options.octaves);
+            }
+        }
+        
+        // Rank the cells by elevation, then the land between water and rock by moisture
+        const cells = Array(count).fill().map((_, i) => i);
+        const byElevation = cells.sort((a, b) => elevation[a] - elevation[b]);
+        const waterCount = Math.round(count * options.waterFraction);
+        const rockCount = Math.min(count - waterCount, Math.round(count * options.rockFraction));
+        const land = byElevation.slice(waterCount, count - rockCount).sort((a, b) => moisture[a] - moisture[b]);
+        const rock = byElevation.slice(count - rockCount);
+        
+        const terrain = new Uint8Array(count).fill(Environment.typeIndex('grassland'));
+        byElevation.slice(0, waterCount).forEach(i => { terrain[i] = Environment.typeIndex('water'); });
+        rock.forEach(i => { terrain[i] = Environment.typeIndex('rock'); });
+        land.slice(0, Math.round(land.length * options.desertFraction)).forEach(i => { terrain[i] = Environment.typeIndex('desert'); });
+        this.setTerrain(columns, rows, terrain);
+        
+        // Obstacles are outcrops on the high ground: boulders and ridges of random size
+        this.obstacles = [];
+        for (let i = 0; i < options.obstacleCount; i++) {
+            const cell = rock.length > 0 ? random.pick(rock) : random.int(count);
+            const x = (cell % columns + random.next()) * this.cellWidth;
+            const y = (Math.floor(cell / columns) + random.next()) * this.cellHeight;
+            const size = random.range(options.obstacleSize / 2, options.obstacleSize);
+            
+            this.obstacles.push(random.chance(0.5)
+                ? new Obstacle({ shape: 'circle', x, y, radius: size })
+                : new Obstacle({ shape: 'rect', x, y, width: size * random.range(1, 2), height: size * random.range(1, 2) }));
+        }
+    }
+    
+    /**
+     * Replace the terrain and obstacles with a map, stretched over the current area
+     * @param {Object} map Map (see Environment.parseMap)
+     */
+    loadMap(map) {
+        const parsed = Environment.parseMap(map);
+        
+        this.setTerrain(parsed.columns, parsed.rows, parsed.terrain);
+        this.obstacles = parsed.obstacles;
+        this.obstacles.forEach(obstacle => obstacle.scale(this.width / parsed.width, this.height / parsed.height));
+    }
+    
+    /**
+     * Convert the environment to a plain JSON-friendly object, which is also a valid map
+     * @returns {Object} Environment state
+     */
+    toJSON() {
+        const symbols = Environment.TYPES.map(type => Environment.TERRAIN[type].symbol);
+        const terrain = [];
+        for (let row = 0; row < this.rows; row++) {
+            let line = '';
+            for (let column = 0; column < this.columns; column++) {
+                line += symbols[this.terrain[row * this.columns + column]];
+            }
+            terrain.push(line);
+        }
+        
+        return {
+            width: this.width,
+            height: this.height,
+            terrain,
+            obstacles: this.obstacles.map(obstacle => obstacle.toJSON()),
+            nutrients: this.nutrients.toJSON()
+        };
+    }
+    
+    /**
+     * Recreate an environment from its JSON form
+     * @param {Object} json Environment state from toJSON()
+     * @returns {Environment} Restored environment
+     */
+    static fromJSON(json) {
+        const environment = new Environment(json.width, json.height);
+        environment.loadMap(json);
+        if (json.nutrients) {
+            environment.nutrients = Resource.fromJSON(json.nutrients, json.width, json.height);
+        }
+        return environment;
+    }
+    
+    /**
+     * Validate a map and decode its terrain
+     *
+     * A map is { terrain, legend, width, height, obstacles }:
+     * - terrain: rows of equal length, one symbol per cell (see Environment.TERRAIN for the symbols)
+     * - legend: extra symbols, for example { '~': 'water' } (optional)
+     * - width, height: units of the obstacle coordinates (optional, defaults to one unit per cell)
+     * - obstacles: obstacle options (see Obstacle) in those units (optional)
+     * @param {Object} map Map to decode
+     * @returns {Object} Decoded map ({ columns, rows, terrain, width, height, obstacles })
+     */
+    static parseMap(map) {
+        if (!map || !Array.isArray(map.terrain) || map.terrain.length === 0) {
+            throw new Error('A map needs a terrain array of rows');
+        }
+        
+        const legend = {};
+        Environment.TYPES.forEach(type => {
+            legend[Environment.TERRAIN[type].symbol] = type;
+        });
+        Object.entries(map.legend || {}).forEach(([symbol, type]) => {
+            if (!Environment.TERRAIN[type]) {
+                throw new Error(`Unknown terrain type in map legend: ${symbol}=${type}`);
+            }
+            legend[symbol] = type;
+        });
+        
+        const rows = map.terrain.length;
+        const columns = typeof map.terrain[0] === 'string' ? map.terrain[0].length : 0;
+        const terrain = new Uint8Array(columns * rows);
+        map.terrain.forEach((line, row) => {
+            if (typeof line !== 'string' || line.length !== columns || columns === 0) {
+                throw new Error(`Map row ${row} must be a string of ${columns || 'at least 1'} cells`);
+            }
+            
+            for (let column = 0; column < columns; column++) {
+                const type = legend[line[column]];
+                if (!type) {
+                    throw new Error(`Unknown terrain symbol '${line[column]}' in map row ${row}`);
+                }
+                terrain[row * columns + column] = Environment.typeIndex(type);
+            }
+        });
+        
+        const width = map.width !== undefined ? map.width : columns;
+        const height = map.height !== undefined ? map.height : rows;
+        if (!(width > 0) || !(height > 0)) {
+            throw new Error(`Invalid map size: ${width}x${height}`);
+        }
+        
+        return {
+            columns,
+            rows,
+            terrain,
+            width,
+            height,
+            obstacles: (map.obstacles || []).map(obstacle => Obstacle.fromJSON(obstacle))
+        };
+    }
+    
+    /**
+     * Build a map from image pixels, one cell per pixel
+     * Each pixel becomes the terrain with the nearest colour, dark pixels become obstacles
+     * and transparent ones grassland
+     * @param {Object} image Pixels ({ width, height, data }), as from CanvasRenderingContext2D.getImageData
+     * @returns {Object} Map (see Environment.parseMap)
+     */
+    static mapFromImage(image) {
+        const colors = Environment.TYPES.map(type => Environment.parseColor(Environment.TERRAIN[type].color));
+        const symbols = Environment.TYPES.map(type => Environment.TERRAIN[type].symbol);
+        const terrain = [];
+        const obstacles = [];
+        
+        // Runs of dark pixels become rectangles, merged downwards while rows repeat the same run
+        let open = new Map();
+        for (let y = 0; y < image.height; y++) {
+            const next = new Map();
+            let line = '';
+            let runStart = -1;
+            
+            for (let x = 0; x <= image.width; x++) {
+                const offset = (y * image.width + x) * 4;
+                const [r, g, b, a] = x < image.width ? image.data.slice(offset, offset + 4) : [255, 255, 255, 255];
+                const dark = a >= 128 && Math.max(r, g, b) < Environment.OBSTACLE_THRESHOLD;
+                
+                if (dark) {
+                    if (runStart < 0) runStart = x;
+                    line += Environment.TERRAIN.rock.symbol;
+                    continue;
+                }
+                
+                if (runStart >= 0) {
+                    const key = `${runStart},${x}`;
+                    const previous = open.get(key);
+                    if (previous) {
+                        previous.height++;
+                        previous.y += 0.5;
+                        next.set(key, previous);
+                    } else {
+                        const obstacle = { shape: 'rect', x: (runStart + x) / 2, y: y + 0.5, width: x - runStart, height: 1 };
+                        obstacles.push(obstacle);
+                        next.set(key, obstacle);
+                    }
+                    runStart = -1;
+                }
+                if (x === image.width) break;
+                
+                if (a < 128) {
+                    line += Environment.TERRAIN.grassland.symbol;
+                    continue;
+                }
+                
+                let nearest = 0;
+                let nearestDistance = Infinity;
+                colors.forEach((color, i) => {
+                    const distance = (r - color[0]) ** 2 + (g - color[1]) ** 2 + (b - color[2]) ** 2;
+                    if (distance < nearestDistance) {
+                        nearestDistance = distance;
+                        nearest = i;
+                    }
+                });
+                line += symbols[nearest];
+            }
+            
+            terrain.push(line);
+            open = next;
+        }
+        
+        return { width: image.width, height: image.height, terrain, obstacles };
+    }
+    
+    /**
+     * Index of a terrain type in Environment.TYPES
+     * @param {string} type Terrain type name
+     * @returns {number} Type index
+     */
+    static typeIndex(type) {
+        const index = Environment.TYPES.indexOf(type);
+        if (index < 0) {
+            throw new Error(`Unknown terrain type: ${type}`);
+        }
+        return index;
+    }
+    
+    /**
+     * Convert a hex colour to its components
+     * @param {string} color Colour as #rgb or #rrggbb
+     * @returns {Array} Red, green and blue (0-255)
+     */
+    static parseColor(color) {
+        const hex = color.length === 4 ? color.slice(1).split('').map(digit => digit + digit).join('') : color.slice(1);
+        return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+    }
+}
+
+/**
+ * Terrain types: map symbol, colour (for drawing and for reading map images),
+ * plant growth multiplier and movement cost
+ */
+Environment.TERRAIN = {
+    grassland: { symbol: 'g', color: '#4a7c3a', growth: 1, movementCost: 1 },
+    water: { symbol: 'w', color: '#2f6db5', growth: 0, movementCost: 2.5 },
+    desert: { symbol: 'd', color: '#d8c07a', growth: 0.25, movementCost: 1.2 },
+    rock: { symbol: 'r', color: '#8c8c8c', growth: 0.1, movementCost: 1.6 }
+};
+
+// Terrain type names in grid index order
+Environment.TYPES = Object.keys(Environment.TERRAIN);
+
+// Map image pixels darker than this in every channel become obstacles
+Environment.OBSTACLE_THRESHOLD = 48;
+
+// Positions randomPosition() tries before settling for a blocked one
+Environment.PLACEMENT_ATTEMPTS = 20;
\ No newline at end of file
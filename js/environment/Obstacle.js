@@ -0,0 +1,193 @@
+/**
+ * Obstacle class
+ * An impassable circle or rectangle that creatures collide with and cannot see through
+ */
+class Obstacle {
+    /**
+     * Initialize an obstacle
+     * @param {Object} options Configuration options
+     * @param {string} options.shape 'circle' or 'rect'
+     * @param {number} options.x X coordinate of the centre
+     * @param {number} options.y Y coordinate of the centre
+     * @param {number} options.radius Radius of a circle
+     * @param {number} options.width Width of a rectangle
+     * @param {number} options.height Height of a rectangle
+     */
+    constructor(options = {}) {
+        this.shape = options.shape || 'circle';
+        if (!Obstacle.SHAPES.includes(this.shape)) {
+            throw new Error(`Unknown obstacle shape: ${this.shape}`);
+        }
+        
+        const sizes = this.shape === 'circle' ? ['radius'] : ['width', 'height'];
+        ['x', 'y', ...sizes].forEach(name => {
+            const value = options[name];
+            if (typeof value !== 'number' || !isFinite(value) || (sizes.includes(name) && value <= 0)) {
+                throw new Error(`Invalid obstacle ${name}: ${value}`);
+            }
+            this[name] = value;
+        });
+    }
+    
+    /**
+     * Point of the obstacle closest to a position
+     * @param {number} x X coordinate
+     * @param {number} y Y coordinate
+     * @returns {Object} Closest point ({ x, y }); the position itself when it is inside
+     */
+    closestPoint(x, y) {
+        if (this.shape === 'circle') {
+            const dx = x - this.x;
+            const dy = y - this.y;
+            const distance = Math.hypot(dx, dy);
+            if (distance <= this.radius) return { x, y };
+            
+            return { x: this.x + dx / distance * this.radius, y: this.y + dy / distance * this.radius };
+        }
+        
+        return {
+            x: Math.max(this.x - this.width / 2, Math.min(this.x + this.width / 2, x)),
+            y: Math.max(this.y - this.height / 2, Math.min(this.y + this.height / 2, y))
+        };
+    }
+    
+    /**
+     * Whether a circle overlaps the obstacle
+     * @param {number} x X coordinate of the circle's centre
+     * @param {number} y Y coordinate of the circle's centre
+     * @param {number} radius Radius of the circle (0 for a point)
+     * @returns {boolean} True if they overlap
+     */
+    overlaps(x, y, radius = 0) {
+        const closest = this.closestPoint(x, y);
+        const dx = x - closest.x;
+        const dy = y - closest.y;
+        return dx * dx + dy * dy < radius * radius || (dx === 0 && dy === 0);
+    }
+    
+    /**
+     * Move an entity that overlaps the obstacle to just outside it
+     * @param {Entity} entity Entity with x, y and radius
+     * @returns {boolean} True if the entity had to be moved
+     */
+    pushOut(entity) {
+        if (!this.overlaps(entity.x, entity.y, entity.radius)) return false;
+        
+        if (this.shape === 'circle') {
+            // Straight out from the centre (to the right if exactly on it)
+            const dx = entity.x - this.x;
+            const dy = entity.y - this.y;
+            const distance = Math.hypot(dx, dy);
+            const reach = this.radius + entity.radius;
+            entity.x = distance > 0 ? this.x + dx / distance * reach : this.x + reach;
+            entity.y = distance > 0 ? this.y + dy / distance * reach : this.y;
+            return true;
+        }
+        
+        // Leave a rectangle through the side the entity is nearest to
+        const halfWidth = this.width / 2 + entity.radius;
+        const halfHeight = this.height / 2 + entity.radius;
+        const dx = entity.x - this.x;
+        const dy = entity.y - this.y;
+        const closest = this.closestPoint(entity.x, entity.y);
+        const inside = closest.x === entity.x && closest.y === entity.y;
+        
+        if (!inside) {
+            // Only a corner or edge is touched: move away from the closest point
+            const ex = entity.x - closest.x;
+            const ey = entity.y - closest.y;
+            const distance = Math.hypot(ex, ey);
+            entity.x = closest.x + ex / distance * entity.radius;
+            entity.y = closest.y + ey / distance * entity.radius;
+        } else if (halfWidth - Math.abs(dx) < halfHeight - Math.abs(dy)) {
+            entity.x = this.x + (dx < 0 ? -halfWidth : halfWidth);
+        } else {
+            entity.y = this.y + (dy < 0 ? -halfHeight : halfHeight);
+        }
+        return true;
+    }
+    
+    /**
+     * Distance along a ray to the edge of the obstacle
+     * @param {number} x X coordinate of the ray's origin
+     * @param {number} y Y coordinate of the ray's origin
+     * @param {number} dx X component of the ray's unit direction
+     * @param {number} dy Y component of the ray's unit direction
+     * @returns {number} Distance to the obstacle (0 from inside, Infinity if the ray misses)
+     */
+    raycast(x, y, dx, dy) {
+        if (this.shape === 'circle') {
+            // Solve |origin + t * direction - centre| = radius for the nearest t
+            const ox = x - this.x;
+            const oy = y - this.y;
+            const c = ox * ox + oy * oy - this.radius * this.radius;
+            if (c <= 0) return 0;
+            
+            const b = ox * dx + oy * dy;
+            const discriminant = b * b - c;
+            if (b >= 0 || discriminant < 0) return Infinity;
+            
+            return -b - Math.sqrt(discriminant);
+        }
+        
+        // Slab test: where the ray is inside both the x and the y extent
+        let near = -Infinity;
+        let far = Infinity;
+        const slabs = [[x, dx, this.x, this.width], [y, dy, this.y, this.height]];
+        for (const [origin, direction, centre, size] of slabs) {
+            const min = centre - size / 2;
+            const max = centre + size / 2;
+            if (direction === 0) {
+                if (origin < min || origin > max) return Infinity;
+                continue;
+            }
+            
+            const t1 = (min - origin) / direction;
+            const t2 = (max - origin) / direction;
+            near = Math.max(near, Math.min(t1, t2));
+            far = Math.min(far, Math.max(t1, t2));
+        }
+        
+        if (far < Math.max(0, near)) return Infinity;
+        return Math.max(0, near);
+    }
+    
+    /**
+     * Stretch the obstacle with the environment
+     * Circles keep their shape, with the radius scaled to keep their area
+     * @param {number} scaleX Horizontal scale factor
+     * @param {number} scaleY Vertical scale factor
+     */
+    scale(scaleX, scaleY) {
+        this.x *= scaleX;
+        this.y *= scaleY;
+        if (this.shape === 'circle') {
+            this.radius *= Math.sqrt(scaleX * scaleY);
+        } else {
+            this.width *= scaleX;
+            this.height *= scaleY;
+        }
+    }
+    
+    /**
+     * Convert the obstacle to a plain JSON-friendly object
+     * @returns {Object} Obstacle options
+     */
+    toJSON() {
+        return this.shape === 'circle'
+            ? { shape: this.shape, x: this.x, y: this.y, radius: this.radius }
+            : { shape: this.shape, x: this.x, y: this.y, width: this.width, height: this.height };
+    }
+    
+    /**
+     * Recreate an obstacle from its JSON form
+     * @param {Object} json Obstacle options from toJSON()
+     * @returns {Obstacle} Restored obstacle
+     */
+    static fromJSON(json) {
+        return new Obstacle(json);
+    }
+}
+
+// Supported obstacle shapes
+Obstacle.SHAPES = ['circle', 'rect'];
\ No newline at end of file
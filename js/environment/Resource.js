@@ -0,0 +1,218 @@
+/**
+ * Resource class
+ * Nutrients held in the soil, on a grid of cells stretched over the environment
+ *
+ * Nutrients are conserved: plants draw them from the cell they grow in, and they come back
+ * as the waste of creatures' metabolism, as the remains of the dead and as what predators
+ * leave of their prey. Between cells they slowly diffuse
+ */
+class Resource {
+    /**
+     * Initialize empty soil
+     * @param {number} width Width of the environment
+     * @param {number} height Height of the environment
+     * @param {Object} options Configuration options
+     * @param {number} options.cellSize Side length of a nutrient cell
+     * @param {number} options.columns Number of columns (overrides cellSize, e.g. when restoring)
+     * @param {number} options.rows Number of rows (overrides cellSize)
+     */
+    constructor(width, height, options = {}) {
+        const cellSize = options.cellSize || Resource.DEFAULT_CELL_SIZE;
+        
+        this.width = width;
+        this.height = height;
+        this.columns = options.columns || Math.max(1, Math.round(width / cellSize));
+        this.rows = options.rows || Math.max(1, Math.round(height / cellSize));
+        
+        // Nutrients of each cell, row by row, and their sum
+        this.amounts = new Float64Array(this.columns * this.rows);
+        this.buffer = new Float64Array(this.amounts.length);
+        this.total = 0;
+    }
+    
+    /**
+     * Index of the cell containing a position (positions outside use the nearest cell)
+     * @param {number} x X coordinate
+     * @param {number} y Y coordinate
+     * @returns {number} Cell index
+     */
+    cellAt(x, y) {
+        const column = Math.max(0, Math.min(this.columns - 1, Math.floor(x / this.width * this.columns)));
+        const row = Math.max(0, Math.min(this.rows - 1, Math.floor(y / this.height * this.rows)));
+        return row * this.columns + column;
+    }
+    
+    /**
+     * Nutrients in the cell at a position
+     * @param {number} x X coordinate
+     * @param {number} y Y coordinate
+     * @returns {number} Nutrients available there
+     */
+    amountAt(x, y) {
+        return this.amounts[this.cellAt(x, y)];
+    }
+    
+    /**
+     * Return nutrients to the soil at a position
+     * @param {number} x X coordinate
+     * @param {number} y Y coordinate
+     * @param {number} amount Nutrients to add (nothing happens for amounts of 0 or less)
+     */
+    deposit(x, y, amount) {
+        if (!(amount > 0)) return;
+        
+        this.amounts[this.cellAt(x, y)] += amount;
+        this.total += amount;
+    }
+    
+    /**
+     * Draw nutrients from the soil at a position
+     * @param {number} x X coordinate
+     * @param {number} y Y coordinate
+     * @param {number} amount Nutrients wanted
+     * @returns {number} Nutrients actually drawn (no more than the cell holds)
+     */
+    withdraw(x, y, amount) {
+        const cell = this.cellAt(x, y);
+        const taken = Math.max(0, Math.min(amount, this.amounts[cell]));
+        
+        this.amounts[cell] -= taken;
+        this.total -= taken;
+        return taken;
+    }
+    
+    /**
+     * Draw nutrients from the whole soil, from every cell in proportion to what it holds
+     * @param {number} amount Nutrients wanted
+     * @returns {number} Nutrients actually drawn (no more than the soil holds)
+     */
+    take(amount) {
+        const taken = Math.max(0, Math.min(amount, this.total));
+        if (taken === 0) return 0;
+        
+        const scale = 1 - taken / this.total;
+        for (let i = 0; i < this.amounts.length; i++) {
+            this.amounts[i] *= scale;
+        }
+        this.total -= taken;
+        return taken;
+    }
+    
+    /**
+     * Replace the soil's nutrients, spreading a total over the cells by weight
+     * @param {number} total Nutrients to spread
+     * @param {Function} weight Function (x, y) giving the share of the cell centred there (even if omitted)
+     */
+    distribute(total, weight = () => 1) {
+        const cellWidth = this.width / this.columns;
+        const cellHeight = this.height / this.rows;
+        let sum = 0;
+        
+        for (let row = 0; row < this.rows; row++) {
+            for (let column = 0; column < this.columns; column++) {
+                const share = Math.max(0, weight((column + 0.5) * cellWidth, (row + 0.5) * cellHeight));
+                this.amounts[row * this.columns + column] = share;
+                sum += share;
+            }
+        }
+        
+        // Barren everywhere: spread evenly rather than lose the nutrients
+        if (sum === 0) {
+            this.amounts.fill(1);
+            sum = this.amounts.length;
+        }
+        
+        for (let i = 0; i < this.amounts.length; i++) {
+            this.amounts[i] *= total / sum;
+        }
+        this.recount();
+    }
+    
+    /**
+     * Let nutrients flow between neighbouring cells, from rich to poor
+     * Each pair of neighbours exchanges a fraction of their difference, so the total is unchanged
+     * @param {number} rate Fraction of the difference exchanged (at most 0.25 to stay stable)
+     */
+    diffuse(rate) {
+        if (rate <= 0 || this.amounts.length === 1) return;
+        
+        const amounts = this.amounts;
+        const next = this.buffer;
+        next.set(amounts);
+        
+        for (let row = 0; row < this.rows; row++) {
+            for (let column = 0; column < this.columns; column++) {
+                const i = row * this.columns + column;
+                
+                if (column + 1 < this.columns) {
+                    const flow = rate * (amounts[i] - amounts[i + 1]);
+                    next[i] -= flow;
+                    next[i + 1] += flow;
+                }
+                if (row + 1 < this.rows) {
+                    const flow = rate * (amounts[i] - amounts[i + this.columns]);
+                    next[i] -= flow;
+                    next[i + this.columns] += flow;
+                }
+            }
+        }
+        
+        this.buffer = amounts;
+        this.amounts = next;
+        this.recount();
+    }
+    
+    /**
+     * Recompute the total from the cells, so rounding errors do not accumulate
+     */
+    recount() {
+        let total = 0;
+        for (let i = 0; i < this.amounts.length; i++) {
+            total += this.amounts[i];
+        }
+        this.total = total;
+    }
+    
+    /**
+     * Stretch the soil over new dimensions (the cells keep their nutrients)
+     * @param {number} width New width
+     * @param {number} height New height
+     */
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+    }
+    
+    /**
+     * Convert the soil to a plain JSON-friendly object
+     * @returns {Object} Soil state ({ columns, rows, amounts })
+     */
+    toJSON() {
+        return {
+            columns: this.columns,
+            rows: this.rows,
+            amounts: Array.from(this.amounts)
+        };
+    }
+    
+    /**
+     * Recreate soil from its JSON form
+     * @param {Object} json Soil state from toJSON()
+     * @param {number} width Width of the environment
+     * @param {number} height Height of the environment
+     * @returns {Resource} Restored soil
+     */
+    static fromJSON(json, width, height) {
+        const resource = new Resource(width, height, { columns: json.columns, rows: json.rows });
+        if (json.amounts.length !== resource.amounts.length) {
+            throw new Error(`Nutrient grid has ${json.amounts.length} cells, expected ${json.columns}x${json.rows}`);
+        }
+        
+        resource.amounts.set(json.amounts);
+        resource.recount();
+        return resource;
+    }
+}
+
+// Side length of a nutrient cell when none is configured
+Resource.DEFAULT_CELL_SIZE = 100;
\ No newline at end of file
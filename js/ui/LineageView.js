@@ -0,0 +1,148 @@
+/**
+ * Lineage View class
+ * Draws the ancestry tree exported by Simulation.exportLineage('json') onto a canvas:
+ * generations run left to right, and the line of descent of the fittest living creature is highlighted
+ */
+class LineageView {
+    /**
+     * Initialize the view
+     * @param {HTMLCanvasElement} canvas Canvas element to draw on
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+    }
+    
+    /**
+     * Position every node: x by birth generation, y by the order of the leaves below it
+     * Like Lineage.toNewick, each creature hangs under its first recorded parent
+     * @param {Object} graph Lineage graph ({ nodes, roots })
+     * @returns {Object} Node positions as fractions of the canvas ({ positions, children, byId })
+     */
+    layout(graph) {
+        const byId = new Map(graph.nodes.map(node => [node.id, node]));
+        const children = new Map();
+        graph.nodes.forEach(node => {
+            const parentId = node.parentIds[0];
+            if (!byId.has(parentId)) return;
+            
+            if (!children.has(parentId)) {
+                children.set(parentId, []);
+            }
+            children.get(parentId).push(node);
+        });
+        
+        let firstGeneration = Infinity;
+        let lastGeneration = -Infinity;
+        graph.nodes.forEach(node => {
+            firstGeneration = Math.min(firstGeneration, node.birthGeneration);
+            lastGeneration = Math.max(lastGeneration, node.birthGeneration);
+        });
+        const span = Math.max(1, lastGeneration - firstGeneration);
+        
+        // Leaves take the next free row; a parent sits midway between its first and last child.
+        // The tree can be thousands of generations deep, so walk it with an explicit stack
+        const positions = new Map();
+        let row = 0;
+        graph.roots.forEach(id => {
+            const stack = [{ node: byId.get(id), expanded: false }];
+            while (stack.length > 0) {
+                const entry = stack[stack.length - 1];
+                const kids = children.get(entry.node.id) || [];
+                if (!entry.expanded && kids.length > 0) {
+                    // Pushed last to first, so the first child's leaves get the first rows
+                    entry.expanded = true;
+                    for (let i = kids.length - 1; i >= 0; i--) {
+                        stack.push({ node: kids[i], expanded: false });
+                    }
+                    continue;
+                }
+                
+                stack.pop();
+                const y = kids.length === 0
+                    ? row++
+                    : (positions.get(kids[0].id).y + positions.get(kids[kids.length - 1].id).y) / 2;
+                positions.set(entry.node.id, { x: (entry.node.birthGeneration - firstGeneration) / span, y });
+            }
+        });
+        
+        // Scale the rows to 0-1
+        const rows = Math.max(1, row - 1);
+        positions.forEach(position => {
+            position.y = row > 1 ? position.y / rows : 0.5;
+        });
+        
+        return { positions, children, byId };
+    }
+    
+    /**
+     * Draw a lineage graph
+     * @param {Object} graph Lineage graph ({ nodes, roots })
+     * @param {Object} colors Colour by species name
+     */
+    render(graph, colors) {
+        const ctx = this.ctx;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const margin = LineageView.MARGIN;
+        
+        ctx.clearRect(0, 0, width, height);
+        if (graph.nodes.length === 0) return;
+        
+        const { positions, children, byId } = this.layout(graph);
+        const toX = position => margin + position.x * (width - margin * 2);
+        const toY = position => margin + position.y * (height - margin * 2);
+        
+        // Branches: down from the parent, then across to the child's birth
+        ctx.lineWidth = 1;
+        children.forEach((kids, parentId) => {
+            const parent = positions.get(parentId);
+            kids.forEach(child => {
+                const position = positions.get(child.id);
+                ctx.strokeStyle = colors[child.species] || '#888';
+                ctx.beginPath();
+                ctx.moveTo(toX(parent), toY(parent));
+                ctx.lineTo(toX(parent), toY(position));
+                ctx.lineTo(toX(position), toY(position));
+                ctx.stroke();
+            });
+        });
+        
+        // Living creatures
+        let fittest = null;
+        graph.nodes.forEach(node => {
+            if (!node.alive) return;
+            
+            if (!fittest || node.fitness > fittest.fitness) {
+                fittest = node;
+            }
+            
+            const position = positions.get(node.id);
+            ctx.fillStyle = colors[node.species] || '#888';
+            ctx.beginPath();
+            ctx.arc(toX(position), toY(position), 2, 0, Math.PI * 2);
+            ctx.fill();
+        });
+        
+        // Trace the fittest living creature back through its first parents
+        if (fittest) {
+            ctx.strokeStyle = '#fff';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            let node = fittest;
+            let position = positions.get(node.id);
+            ctx.moveTo(toX(position), toY(position));
+            while (byId.has(node.parentIds[0])) {
+                const parent = positions.get(node.parentIds[0]);
+                ctx.lineTo(toX(parent), toY(position));
+                ctx.lineTo(toX(parent), toY(parent));
+                node = byId.get(node.parentIds[0]);
+                position = parent;
+            }
+            ctx.stroke();
+        }
+    }
+}
+
+// Padding around the tree in pixels
+LineageView.MARGIN = 6;
\ No newline at end of file
@@ -0,0 +1,142 @@
+/**
+ * Renderer class
+ * Draws the simulation state onto a canvas, keeping drawing out of the simulation logic
+ */
+class Renderer {
+    /**
+     * Initialize the renderer
+     * @param {HTMLCanvasElement} canvas Canvas element for rendering
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        
+        // Terrain drawn once per change at one pixel per cell, then stretched over the environment
+        this.terrainCanvas = null;
+        this.terrainSource = null;
+        this.terrainVersion = -1;
+    }
+    
+    /**
+     * Render the simulation
+     * @param {Simulation} simulation Simulation to draw
+     */
+    render(simulation) {
+        const environment = simulation.environment;
+        const alpha = simulation.interpolation;
+        
+        // Clear canvas and setup transform for camera
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        
+        // Calculate scale factor to fit environment to canvas
+        const scaleX = this.canvas.width / environment.width;
+        const scaleY = this.canvas.height / environment.height;
+        const scale = Math.min(scaleX, scaleY);
+        
+        // Center the environment in the canvas
+        const offsetX = (this.canvas.width - environment.width * scale) / 2;
+        const offsetY = (this.canvas.height - environment.height * scale) / 2;
+        
+        // Save context state
+        this.ctx.save();
+        this.ctx.translate(offsetX, offsetY);
+        this.ctx.scale(scale, scale);
+        
+        // Draw terrain and obstacles
+        this.drawTerrain(environment);
+        this.drawObstacles(environment);
+        
+        // Draw environment boundary
+        this.ctx.strokeStyle = '#444';
+        this.ctx.lineWidth = 1 / scale;
+        this.ctx.strokeRect(0, 0, environment.width, environment.height);
+        
+        // Draw plants
+        this.ctx.fillStyle = '#3c3';
+        simulation.plants.forEach(plant => {
+            if (!plant.edible) return;
+            
+            this.ctx.beginPath();
+            this.ctx.arc(plant.x, plant.y, plant.radius, 0, Math.PI * 2);
+            this.ctx.fill();
+        });
+        
+        // Draw creatures at their evolved size, in their evolved shade of the species colour
+        simulation.creatures.forEach(creature => {
+            this.ctx.fillStyle = creature.species.colorOf(creature.genome);
+            this.ctx.beginPath();
+            this.ctx.arc(
+                creature.interpolatedX(alpha),
+                creature.interpolatedY(alpha),
+                creature.radius, 0, Math.PI * 2
+            );
+            this.ctx.fill();
+        });
+        
+        // Restore context state
+        this.ctx.restore();
+    }
+    
+    /**
+     * Draw the terrain grid, redrawing the cached image only when the terrain changed
+     * @param {Environment} environment Environment to draw
+     */
+    drawTerrain(environment) {
+        if (this.terrainSource !== environment || this.terrainVersion !== environment.version) {
+            this.terrainCanvas = this.createTerrainImage(environment);
+            this.terrainSource = environment;
+            this.terrainVersion = environment.version;
+        }
+        
+        this.ctx.save();
+        this.ctx.globalAlpha = Renderer.TERRAIN_ALPHA;
+        this.ctx.imageSmoothingEnabled = false;
+        this.ctx.drawImage(this.terrainCanvas, 0, 0, environment.width, environment.height);
+        this.ctx.restore();
+    }
+    
+    /**
+     * Paint the terrain onto an offscreen canvas with one pixel per cell
+     * @param {Environment} environment Environment to draw
+     * @returns {HTMLCanvasElement} Terrain image
+     */
+    createTerrainImage(environment) {
+        const canvas = document.createElement('canvas');
+        canvas.width = environment.columns;
+        canvas.height = environment.rows;
+        
+        const ctx = canvas.getContext('2d');
+        const colors = Environment.TYPES.map(type => Environment.TERRAIN[type].color);
+        for (let row = 0; row < environment.rows; row++) {
+            for (let column = 0; column < environment.columns; column++) {
+                ctx.fillStyle = colors[environment.terrain[row * environment.columns + column]];
+                ctx.fillRect(column, row, 1, 1);
+            }
+        }
+        
+        return canvas;
+    }
+    
+    /**
+     * Draw the obstacles
+     * @param {Environment} environment Environment to draw
+     */
+    drawObstacles(environment) {
+        this.ctx.fillStyle = Renderer.OBSTACLE_COLOR;
+        environment.obstacles.forEach(obstacle => {
+            if (obstacle.shape === 'circle') {
+                this.ctx.beginPath();
+                this.ctx.arc(obstacle.x, obstacle.y, obstacle.radius, 0, Math.PI * 2);
+                this.ctx.fill();
+            } else {
+                this.ctx.fillRect(obstacle.x - obstacle.width / 2, obstacle.y - obstacle.height / 2, obstacle.width, obstacle.height);
+            }
+        });
+    }
+}
+
+// Opacity of the terrain under the creatures and plants
+Renderer.TERRAIN_ALPHA = 0.25;
+
+// Fill colour of obstacles
+Renderer.OBSTACLE_COLOR = '#555';
\ No newline at end of file
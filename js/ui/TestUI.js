@@ -178,8 +178,8 @@ class TestUI {
         
         // Process each test
         Object.entries(results).forEach(([testName, testData]) => {
-            // Skip neural network test (it's displayed separately)
-            if (testName === 'neuralNetworkPerformance') return;
+            // Skip neural network and spatial index tests (they're displayed separately)
+            if (testName === 'neuralNetworkPerformance' || testName === 'spatialIndexPerformance') return;
             
             const testSection = document.createElement('div');
             testSection.className = 'test-section';
@@ -231,7 +231,7 @@ class TestUI {
             
             // Add table header
             const thead = document.createElement('thead');
-            thead.innerHTML = '<tr><th>Network</th><th>Avg Time (ms)</th><th>Operations/sec</th></tr>';
+            thead.innerHTML = '<tr><th>Network</th><th>Avg Time (ms)</th><th>Operations/sec</th><th>Legacy (ms)</th><th>Speedup</th><th>100 Nets (ms)</th><th>100 Batched (ms)</th></tr>';
             table.appendChild(thead);
             
             // Add table body
@@ -243,6 +243,10 @@ class TestUI {
                     <td>${netName}</td>
                     <td>${netData.avgProcessingTimeMs.toFixed(4)}</td>
                     <td>${netData.iterationsPerSecond.toFixed(0)}</td>
+                    <td>${netData.legacyProcessingTimeMs.toFixed(4)}</td>
+                    <td>${netData.speedup.toFixed(2)}x</td>
+                    <td>${netData.populationProcessingTimeMs.toFixed(4)}</td>
+                    <td>${netData.batchProcessingTimeMs.toFixed(4)}</td>
                 `;
                 tbody.appendChild(row);
             });
@@ -251,6 +255,45 @@ class TestUI {
             nnSection.appendChild(table);
             this.resultsContainer.appendChild(nnSection);
         }
+        
+        // Process spatial index results separately
+        if (results.spatialIndexPerformance) {
+            const spatialSection = document.createElement('div');
+            spatialSection.className = 'test-section';
+            
+            const spatialTitle = document.createElement('h5');
+            spatialTitle.textContent = 'Spatial Index Performance';
+            spatialSection.appendChild(spatialTitle);
+            
+            // Create metrics table
+            const table = document.createElement('table');
+            table.className = 'metrics-table';
+            
+            // Add table header
+            const thead = document.createElement('thead');
+            thead.innerHTML = '<tr><th>Population</th><th>Brute Force (ms)</th><th>Grid (ms)</th><th>Quadtree (ms)</th><th>Grid Speedup</th><th>Quadtree Speedup</th></tr>';
+            table.appendChild(thead);
+            
+            // Add table body
+            const tbody = document.createElement('tbody');
+            
+            Object.entries(results.spatialIndexPerformance).forEach(([populationName, spatialData]) => {
+                const row = document.createElement('tr');
+                row.innerHTML = `
+                    <td>${populationName}</td>
+                    <td>${spatialData.bruteForceTimeMs.toFixed(3)}</td>
+                    <td>${spatialData.gridTimeMs.toFixed(3)}</td>
+                    <td>${spatialData.quadtreeTimeMs.toFixed(3)}</td>
+                    <td>${spatialData.gridSpeedup.toFixed(2)}x</td>
+                    <td>${spatialData.quadtreeSpeedup.toFixed(2)}x</td>
+                `;
+                tbody.appendChild(row);
+            });
+            
+            table.appendChild(tbody);
+            spatialSection.appendChild(table);
+            this.resultsContainer.appendChild(spatialSection);
+        }
     }
     
     /**
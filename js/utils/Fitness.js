@@ -0,0 +1,110 @@
+/**
+ * Fitness class
+ * Scores creatures for selection with a fitness function picked by name from a registry,
+ * so experiments can evolve towards different objectives without changing the simulation
+ */
+class Fitness {
+    /**
+     * Initialize a fitness measure from configuration
+     * @param {Object} options Configuration options
+     * @param {string} options.function Name of a registered fitness function
+     * @param {Object} options.weights Weight of each component by function name (for 'weighted')
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.definition = Fitness.get(options.function || 'weighted');
+        
+        // Catch misspelt components now rather than on the first tick
+        if (this.definition.composite) {
+            Object.keys(options.weights || {}).forEach(name => {
+                if (Fitness.get(name).composite) {
+                    throw new Error(`Fitness function '${name}' cannot be a weighted component`);
+                }
+            });
+        }
+    }
+    
+    /**
+     * Name of the fitness function in use
+     * @returns {string} Registered name
+     */
+    get name() {
+        return this.definition.name;
+    }
+    
+    /**
+     * Score a creature from the events it has accumulated
+     * @param {Creature} creature Creature to score
+     * @returns {number} Fitness
+     */
+    evaluate(creature) {
+        return this.definition.fn(creature.events, creature, this.options);
+    }
+    
+    /**
+     * Register a fitness function so configurations can refer to it by name
+     * @param {string} name Function name
+     * @param {Function} fn Function (events, creature, options) returning a fitness score, where events
+     *        are the creature's counters (see Creature.EVENTS) and options the fitness configuration
+     * @param {Object} options Function options
+     * @param {string} options.description Short description for listings
+     * @param {boolean} options.composite Whether the function combines other functions (it cannot be a component itself)
+     */
+    static register(name, fn, options = {}) {
+        if (typeof name !== 'string' || name.length === 0) {
+            throw new Error('Fitness function name must be a non-empty string');
+        }
+        if (typeof fn !== 'function') {
+            throw new Error(`Fitness function '${name}' must be a function`);
+        }
+        
+        Fitness.FUNCTIONS[name] = {
+            name,
+            fn,
+            description: options.description || '',
+            composite: Boolean(options.composite)
+        };
+    }
+    
+    /**
+     * Look up a registered fitness function by name
+     * @param {string} name Function name
+     * @returns {Object} Registered function ({ name, fn, description, composite })
+     */
+    static get(name) {
+        const definition = Fitness.FUNCTIONS[name];
+        if (!definition) {
+            throw new Error(`Unknown fitness function: ${name} (registered: ${Object.keys(Fitness.FUNCTIONS).join(', ')})`);
+        }
+        
+        return definition;
+    }
+}
+
+// Fitness functions by name (see Fitness.register)
+Fitness.FUNCTIONS = {};
+Fitness.register('energy', events => events.energyGathered, {
+    description: 'Energy collected from plants and prey'
+});
+Fitness.register('survival', events => events.ticksSurvived, {
+    description: 'Ticks survived'
+});
+Fitness.register('offspring', events => events.offspring, {
+    description: 'Offspring born (continuous mode)'
+});
+Fitness.register('distance', events => events.distanceTravelled, {
+    description: 'Distance travelled'
+});
+Fitness.register('prey', events => events.preyCaught, {
+    description: 'Prey caught'
+});
+Fitness.register('weighted', (events, creature, options) => {
+    let fitness = 0;
+    Object.entries(options.weights || {}).forEach(([name, weight]) => {
+        fitness += Fitness.FUNCTIONS[name].fn(events, creature, options) * weight;
+    });
+    return fitness;
+}, {
+    description: 'Weighted sum of other fitness functions',
+    composite: true
+});
\ No newline at end of file
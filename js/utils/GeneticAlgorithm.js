@@ -0,0 +1,198 @@
+/**
+ * Genetic Algorithm class
+ * Builds the next generation of brains from a population of evaluated organisms
+ */
+class GeneticAlgorithm {
+    /**
+     * Initialize the genetic algorithm
+     * @param {Object} options Configuration options
+     * @param {string} options.selectionMethod Parent selection method ('tournament', 'roulette' or 'rank')
+     * @param {number} options.elitism Number of top individuals carried over unchanged
+     * @param {number} options.tournamentSize Number of contestants per tournament
+     * @param {number} options.crossoverRate Probability that an offspring is bred from two parents
+     * @param {number} options.mutationRate Probability of mutating each weight and bias
+     * @param {number} options.mutationAmount Maximum amount of mutation
+     * @param {Random} options.random Random number generator for selection, crossover and mutation
+     */
+    constructor(options = {}) {
+        this.selectionMethod = options.selectionMethod || 'tournament';
+        this.elitism = options.elitism !== undefined ? options.elitism : 2;
+        this.tournamentSize = options.tournamentSize || 3;
+        this.crossoverRate = options.crossoverRate !== undefined ? options.crossoverRate : 0.7;
+        this.mutationRate = options.mutationRate !== undefined ? options.mutationRate : 0.1;
+        this.mutationAmount = options.mutationAmount !== undefined ? options.mutationAmount : 0.5;
+        this.random = options.random || NeuralNetwork.defaultRandom;
+        
+        // Map selection method names to implementations
+        this.selectionMethods = {
+            tournament: this.selectTournament.bind(this),
+            roulette: this.selectRoulette.bind(this),
+            rank: this.selectRank.bind(this)
+        };
+        
+        if (!this.selectionMethods[this.selectionMethod]) {
+            throw new Error(`Unknown selection method: ${this.selectionMethod}`);
+        }
+    }
+    
+    /**
+     * Produce the brains (and body genomes) for the next generation
+     * @param {Array} population Individuals with `fitness`, `brain` and optional `genome` properties
+     * @param {number} size Number of offspring to produce (defaults to population size)
+     * @returns {Array} Offspring descriptors ({ brain, genome, parents, elite }; genome is null without body genomes)
+     */
+    evolve(population, size = population.length) {
+        if (population.length === 0) return [];
+        
+        // Sort a copy by descending fitness so elites are at the front
+        const ranked = [...population].sort((a, b) => b.fitness - a.fitness);
+        const offspring = [];
+        
+        // Carry the best individuals over unchanged
+        const eliteCount = Math.min(this.elitism, size, ranked.length);
+        for (let i = 0; i < eliteCount; i++) {
+            offspring.push({
+                brain: ranked[i].brain.clone(),
+                genome: ranked[i].genome ? ranked[i].genome.clone() : null,
+                parents: [ranked[i]],
+                elite: true
+            });
+        }
+        
+        // Fill the rest of the generation with bred offspring
+        while (offspring.length < size) {
+            const parentA = this.select(ranked);
+            
+            if (ranked.length > 1 && this.random.next() < this.crossoverRate) {
+                const parentB = this.select(ranked, parentA);
+                offspring.push({
+                    brain: this.breed(parentA, parentB),
+                    genome: this.breedGenome(parentA, parentB),
+                    parents: [parentA, parentB],
+                    elite: false
+                });
+            } else {
+                offspring.push({
+                    brain: this.breed(parentA),
+                    genome: this.breedGenome(parentA),
+                    parents: [parentA],
+                    elite: false
+                });
+            }
+        }
+        
+        return offspring;
+    }
+    
+    /**
+     * Create a mutated offspring brain from one or two parents
+     * @param {Object} parentA First parent
+     * @param {Object} parentB Optional second parent (omit for asexual reproduction)
+     * @returns {NeuralNetwork} Offspring brain
+     */
+    breed(parentA, parentB = null) {
+        const brain = parentB
+            ? parentA.brain.crossover(parentB.brain, 0.5, this.random)
+            : parentA.brain.clone();
+        
+        brain.mutate(this.mutationRate, this.mutationAmount, this.random);
+        return brain;
+    }
+    
+    /**
+     * Create a mutated offspring body genome from one or two parents
+     * @param {Object} parentA First parent
+     * @param {Object} parentB Optional second parent (omit for asexual reproduction)
+     * @returns {BodyGenome|null} Offspring genome, or null if the parents have no body genome
+     */
+    breedGenome(parentA, parentB = null) {
+        if (!parentA.genome) return null;
+        
+        const genome = parentB && parentB.genome
+            ? parentA.genome.crossover(parentB.genome, this.random)
+            : parentA.genome.clone();
+        
+        genome.mutate(this.mutationRate, this.mutationAmount, this.random);
+        return genome;
+    }
+    
+    /**
+     * Select a parent using the configured selection method
+     * @param {Array} population Candidate individuals
+     * @param {Object} exclude Individual to avoid picking (e.g. the first parent)
+     * @returns {Object} Selected individual
+     */
+    select(population, exclude = null) {
+        const candidates = exclude && population.length > 1
+            ? population.filter(individual => individual !== exclude)
+            : population;
+        
+        return this.selectionMethods[this.selectionMethod](candidates);
+    }
+    
+    /**
+     * Tournament selection: best of a few randomly chosen individuals
+     * @param {Array} population Candidate individuals
+     * @returns {Object} Selected individual
+     */
+    selectTournament(population) {
+        let best = null;
+        
+        for (let i = 0; i < this.tournamentSize; i++) {
+            const contestant = population[Math.floor(this.random.next() * population.length)];
+            if (!best || contestant.fitness > best.fitness) {
+                best = contestant;
+            }
+        }
+        
+        return best;
+    }
+    
+    /**
+     * Roulette wheel selection: probability proportional to fitness
+     * @param {Array} population Candidate individuals
+     * @returns {Object} Selected individual
+     */
+    selectRoulette(population) {
+        // Shift fitness so that the weakest individual still has a small chance
+        const minFitness = Math.min(...population.map(individual => individual.fitness));
+        const offset = minFitness < 0 ? -minFitness : 0;
+        const epsilon = 1e-6;
+        
+        let totalFitness = 0;
+        population.forEach(individual => {
+            totalFitness += individual.fitness + offset + epsilon;
+        });
+        
+        let threshold = this.random.next() * totalFitness;
+        for (let i = 0; i < population.length; i++) {
+            threshold -= population[i].fitness + offset + epsilon;
+            if (threshold <= 0) {
+                return population[i];
+            }
+        }
+        
+        return population[population.length - 1];
+    }
+    
+    /**
+     * Rank selection: probability proportional to position in the fitness ranking
+     * @param {Array} population Candidate individuals
+     * @returns {Object} Selected individual
+     */
+    selectRank(population) {
+        // Worst individual gets rank 1, best gets rank n
+        const ranked = [...population].sort((a, b) => a.fitness - b.fitness);
+        const totalRank = ranked.length * (ranked.length + 1) / 2;
+        
+        let threshold = this.random.next() * totalRank;
+        for (let i = 0; i < ranked.length; i++) {
+            threshold -= i + 1;
+            if (threshold <= 0) {
+                return ranked[i];
+            }
+        }
+        
+        return ranked[ranked.length - 1];
+    }
+}
\ No newline at end of file
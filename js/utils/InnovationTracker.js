@@ -0,0 +1,78 @@
+/**
+ * Innovation Tracker class
+ * Hands out the historical markings NEAT genomes use to line up their genes: the same
+ * structural mutation gets the same innovation number (or node id) in every genome
+ */
+class InnovationTracker {
+    /**
+     * Initialize a tracker for genomes with a fixed number of inputs and outputs
+     * @param {number} inputSize Number of input nodes (ids 0 to inputSize - 1)
+     * @param {number} outputSize Number of output nodes (the ids after the inputs)
+     * @param {Object} state Saved state to resume from (see toJSON)
+     */
+    constructor(inputSize, outputSize, state = null) {
+        this.inputSize = inputSize;
+        this.outputSize = outputSize;
+        
+        // Innovation number of each connection, keyed 'from->to'
+        this.connections = state ? { ...state.connections } : {};
+        
+        // Id of the node inserted by splitting a connection, keyed by the connection's innovation
+        this.splits = state ? { ...state.splits } : {};
+        
+        this.nextInnovation = state ? state.nextInnovation : 0;
+        this.nextNodeId = state ? state.nextNodeId : inputSize + outputSize;
+    }
+    
+    /**
+     * Innovation number of the connection between two nodes
+     * @param {number} from Source node id
+     * @param {number} to Target node id
+     * @returns {number} Existing number for this connection, or a new one
+     */
+    connection(from, to) {
+        const key = `${from}->${to}`;
+        if (this.connections[key] === undefined) {
+            this.connections[key] = this.nextInnovation++;
+        }
+        
+        return this.connections[key];
+    }
+    
+    /**
+     * Id of the node created by splitting a connection
+     * @param {number} innovation Innovation number of the split connection
+     * @returns {number} Existing id for this split, or a new one
+     */
+    split(innovation) {
+        if (this.splits[innovation] === undefined) {
+            this.splits[innovation] = this.nextNodeId++;
+        }
+        
+        return this.splits[innovation];
+    }
+    
+    /**
+     * Convert the tracker to a plain JSON-friendly object
+     * @returns {Object} Tracker state
+     */
+    toJSON() {
+        return {
+            inputSize: this.inputSize,
+            outputSize: this.outputSize,
+            connections: { ...this.connections },
+            splits: { ...this.splits },
+            nextInnovation: this.nextInnovation,
+            nextNodeId: this.nextNodeId
+        };
+    }
+    
+    /**
+     * Recreate a tracker from its JSON form
+     * @param {Object} json Tracker state from toJSON()
+     * @returns {InnovationTracker} Restored tracker
+     */
+    static fromJSON(json) {
+        return new InnovationTracker(json.inputSize, json.outputSize, json);
+    }
+}
\ No newline at end of file
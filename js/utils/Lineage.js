@@ -0,0 +1,263 @@
+/**
+ * Lineage class
+ * Ancestry graph of the creatures: who descended from whom, when each was born and died,
+ * and how fit it was. Branches that died out without descendants are pruned away
+ */
+class Lineage {
+    /**
+     * Initialize an empty lineage
+     * @param {Object} state Saved state to resume from (see toJSON)
+     * @param {Object} options Configuration options
+     * @param {number} options.historyLength Generations of dead ancestors kept (null or omitted keeps all)
+     */
+    constructor(state = null, options = {}) {
+        this.historyLength = typeof options.historyLength === 'number' ? options.historyLength : Infinity;
+        
+        // Ancestry records by creature id ({ id, parentIds, species, birthGeneration, deathGeneration, fitness, childCount })
+        // childCount only counts the children a record is the first parent of, so it follows the tree
+        this.records = new Map();
+        
+        // Living creatures by id, so their records can report current fitness
+        this.living = new Map();
+        
+        if (state) {
+            state.records.forEach(record => {
+                this.records.set(record.id, { ...record, parentIds: [...record.parentIds], childCount: 0 });
+            });
+            
+            // Older saves counted second parents too, so count the children again
+            this.records.forEach(record => {
+                const parent = this.records.get(record.parentIds[0]);
+                if (parent) parent.childCount++;
+            });
+        }
+    }
+    
+    /**
+     * Number of recorded creatures
+     * @returns {number} Record count
+     */
+    get size() {
+        return this.records.size;
+    }
+    
+    /**
+     * Record the birth of a creature (after its parentIds are set)
+     * @param {Creature} creature Newborn creature
+     */
+    record(creature) {
+        this.records.set(creature.id, {
+            id: creature.id,
+            parentIds: [...creature.parentIds],
+            species: creature.species.name,
+            birthGeneration: creature.generation,
+            deathGeneration: null,
+            fitness: creature.fitness,
+            childCount: 0
+        });
+        this.living.set(creature.id, creature);
+        
+        // Only the first parent keeps the record alive; a crossover mate is just an id that may be pruned
+        const parent = this.records.get(creature.parentIds[0]);
+        if (parent) parent.childCount++;
+    }
+    
+    /**
+     * Reattach a living creature restored from a snapshot to its record
+     * @param {Creature} creature Living creature
+     */
+    attach(creature) {
+        if (!this.records.has(creature.id)) {
+            this.record(creature);
+            return;
+        }
+        
+        this.living.set(creature.id, creature);
+    }
+    
+    /**
+     * Record the death of a creature (or its end as a generation is replaced)
+     * @param {Creature} creature Creature that died
+     * @param {number} generation Generation it died in
+     */
+    retire(creature, generation) {
+        const record = this.records.get(creature.id);
+        if (!record || record.deathGeneration !== null) return;
+        
+        record.deathGeneration = generation;
+        record.fitness = creature.fitness;
+        this.living.delete(creature.id);
+    }
+    
+    /**
+     * Remove dead creatures that left no descendants, then any ancestors left childless by that
+     * Dead creatures may still become parents until the generation is bred, so prune afterwards
+     * Dead ancestors born more than historyLength generations ago are dropped as well, leaving their descendants as roots
+     * @param {number} generation Current generation (omit to keep the whole history)
+     * @returns {number} Number of records removed
+     */
+    prune(generation = null) {
+        const stack = [];
+        let removed = 0;
+        
+        const remove = record => {
+            this.records.delete(record.id);
+            removed++;
+            
+            const parent = this.records.get(record.parentIds[0]);
+            if (!parent) return;
+            
+            parent.childCount--;
+            if (parent.deathGeneration !== null && parent.childCount === 0) {
+                stack.push(parent);
+            }
+        };
+        
+        // The line of descent grows with every generation, so cap how far back it goes
+        if (generation !== null) {
+            const oldest = generation - this.historyLength;
+            this.records.forEach(record => {
+                if (record.deathGeneration !== null && record.birthGeneration < oldest) {
+                    remove(record);
+                }
+            });
+        }
+        
+        this.records.forEach(record => {
+            if (record.deathGeneration !== null && record.childCount === 0) {
+                stack.push(record);
+            }
+        });
+        
+        while (stack.length > 0) {
+            const record = stack.pop();
+            if (this.records.has(record.id)) {
+                remove(record);
+            }
+        }
+        
+        return removed;
+    }
+    
+    /**
+     * Fitness of a recorded creature (current fitness while it is alive)
+     * @param {Object} record Ancestry record
+     * @returns {number} Fitness
+     */
+    fitnessOf(record) {
+        const creature = this.living.get(record.id);
+        return creature ? creature.fitness : record.fitness;
+    }
+    
+    /**
+     * Arrange the records as a tree under each creature's first parent
+     * Crossover gives a creature two parents, but a phylogenetic tree needs one; the first
+     * parent is the one selection picked, the second only contributed genes
+     * @returns {Object} Root records and child records by parent id ({ roots, children })
+     */
+    tree() {
+        const roots = [];
+        const children = new Map();
+        
+        // The map keeps records in birth order, so parents come before their children
+        this.records.forEach(record => {
+            const parentId = record.parentIds[0];
+            if (!this.records.has(parentId)) {
+                roots.push(record);
+                return;
+            }
+            
+            if (!children.has(parentId)) {
+                children.set(parentId, []);
+            }
+            children.get(parentId).push(record);
+        });
+        
+        return { roots, children };
+    }
+    
+    /**
+     * Export the tree in Newick format
+     * Nodes are labelled species_id, and branch lengths count the generations between births
+     * @returns {string} Newick tree (several lineages are joined under an unnamed root)
+     */
+    toNewick() {
+        const { roots, children } = this.tree();
+        const formatted = new Map();
+        
+        // Depth-first with an explicit stack, since continuous runs grow thousands of generations deep;
+        // a node is formatted once all its children are
+        const trees = roots.map(root => {
+            const stack = [{ record: root, parent: null, expanded: false }];
+            while (stack.length > 0) {
+                const entry = stack[stack.length - 1];
+                const kids = children.get(entry.record.id) || [];
+                if (!entry.expanded) {
+                    entry.expanded = true;
+                    kids.forEach(child => stack.push({ record: child, parent: entry.record, expanded: false }));
+                    continue;
+                }
+                
+                stack.pop();
+                const { record, parent } = entry;
+                const subtree = kids.length > 0 ? `(${kids.map(child => formatted.get(child.id)).join(',')})` : '';
+                const length = parent ? `:${record.birthGeneration - parent.birthGeneration}` : '';
+                formatted.set(record.id, `${subtree}${record.species}_${record.id}${length}`);
+                kids.forEach(child => formatted.delete(child.id));
+            }
+            
+            return formatted.get(root.id);
+        });
+        
+        return `${trees.length === 1 ? trees[0] : `(${trees.join(',')})`};`;
+    }
+    
+    /**
+     * Export the ancestry graph with every recorded parent link
+     * Parent ids may name pruned creatures (crossover mates, or ancestors beyond the history length);
+     * a node hangs under its first parent in the tree when that one is among the nodes, otherwise it is a root
+     * @returns {Object} Nodes in birth order and the ids of the roots
+     */
+    toGraph() {
+        const nodes = [];
+        this.records.forEach(record => {
+            nodes.push({
+                id: record.id,
+                parentIds: [...record.parentIds],
+                species: record.species,
+                birthGeneration: record.birthGeneration,
+                deathGeneration: record.deathGeneration,
+                alive: this.living.has(record.id),
+                fitness: this.fitnessOf(record)
+            });
+        });
+        
+        return {
+            nodes,
+            roots: this.tree().roots.map(record => record.id)
+        };
+    }
+    
+    /**
+     * Convert the lineage to a plain JSON-friendly object
+     * @returns {Object} Lineage state
+     */
+    toJSON() {
+        const records = [];
+        this.records.forEach(record => {
+            records.push({ ...record, parentIds: [...record.parentIds], fitness: this.fitnessOf(record) });
+        });
+        return { records };
+    }
+    
+    /**
+     * Recreate a lineage from its JSON form
+     * Living creatures must be attached again (see attach)
+     * @param {Object} json Lineage state from toJSON()
+     * @param {Object} options Configuration options (see constructor)
+     * @returns {Lineage} Restored lineage
+     */
+    static fromJSON(json, options = {}) {
+        return new Lineage(json, options);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,587 @@
+/**
+ * NEAT Genome class
+ * A brain whose topology evolves: structural mutations add and remove hidden neurons and
+ * connections, and innovation numbers line up matching genes for crossover and comparison.
+ * Used in place of a NeuralNetwork (same feedForward, mutate, crossover, clone and difference)
+ */
+class NEATGenome {
+    /**
+     * Initialize a genome
+     * New genomes start minimal, with every input connected to every output
+     * @param {Object} options Configuration options
+     * @param {number} options.inputSize Number of inputs
+     * @param {number} options.outputSize Number of outputs
+     * @param {string} options.activation Activation name of new hidden neurons (defaults to 'sigmoid')
+     * @param {string|Array} options.outputActivation Activation of the outputs, or one name per output
+     *        (defaults to options.activation)
+     * @param {InnovationTracker} options.innovations Innovation numbers shared by genomes that can breed
+     * @param {Object} options.mutationRates Chance per mutate() call of each structural mutation
+     *        ({ addConnection, addNode, removeConnection, removeNode }, see NEATGenome.MUTATION_RATES)
+     * @param {Object} options.compatibility Weights of the compatibility distance terms
+     *        ({ excess, disjoint, weight }, see NEATGenome.COMPATIBILITY)
+     * @param {Array} options.nodes Pre-defined hidden and output neurons (for loading saved genomes)
+     * @param {Array} options.connections Pre-defined connections (for loading saved genomes)
+     * @param {Random} options.random Random number generator (defaults to Math.random)
+     */
+    constructor(options = {}) {
+        NeuralNetwork.validateLayerSize('inputSize', options.inputSize);
+        NeuralNetwork.validateLayerSize('outputSize', options.outputSize);
+        
+        this.inputSize = options.inputSize;
+        this.outputSize = options.outputSize;
+        
+        // New hidden neurons use one activation; the outputs may mix them per neuron (e.g. softmax actions)
+        this.hiddenActivation = NeuralNetwork.getActivation(options.activation || 'sigmoid').name;
+        if (NeuralNetwork.getActivation(this.hiddenActivation).layer) {
+            throw new Error(`NEAT hidden neurons need a per-neuron activation, not ${this.hiddenActivation}`);
+        }
+        
+        const outputNames = options.outputActivation || this.hiddenActivation;
+        this.outputActivationNames = Array.isArray(outputNames)
+            ? [...outputNames]
+            : Array(this.outputSize).fill(outputNames);
+        if (this.outputActivationNames.length !== this.outputSize) {
+            throw new Error(`Expected ${this.outputSize} output activations, got ${this.outputActivationNames.length}`);
+        }
+        this.outputActivations = this.outputActivationNames.map(name => NeuralNetwork.getActivation(name));
+        this.outputRuns = NeuralNetwork.compileActivations(this.outputActivationNames, this.outputSize);
+        
+        // Every genome has its own topology, so genomes are never batched (see NeuralNetworkBatch)
+        this.architectureKey = null;
+        
+        this.random = options.random || NeuralNetwork.defaultRandom;
+        this.innovations = options.innovations || new InnovationTracker(this.inputSize, this.outputSize);
+        this.mutationRates = { ...NEATGenome.MUTATION_RATES, ...options.mutationRates };
+        this.compatibility = { ...NEATGenome.COMPATIBILITY, ...options.compatibility };
+        
+        // Hidden and output neurons ({ id, bias, activation }); inputs are ids 0 to inputSize - 1
+        // Connections ({ innovation, from, to, weight, enabled }) are kept in innovation order
+        if (!options.nodes || !options.connections) {
+            this.initialize();
+        } else {
+            this.nodes = options.nodes.map(node => ({ ...node }));
+            this.connections = options.connections.map(connection => ({ ...connection }));
+            this.connections.sort((a, b) => a.innovation - b.innovation);
+        }
+        
+        // Evaluation order and packed parameters, rebuilt after any change (see compile)
+        this.program = null;
+    }
+    
+    /**
+     * Create the minimal topology: biased outputs wired directly to every input
+     */
+    initialize() {
+        this.nodes = [];
+        this.connections = [];
+        
+        for (let j = 0; j < this.outputSize; j++) {
+            this.nodes.push({
+                id: this.inputSize + j,
+                bias: this.random.next() * 2 - 1,
+                activation: this.outputActivationNames[j]
+            });
+        }
+        
+        for (let j = 0; j < this.outputSize; j++) {
+            for (let k = 0; k < this.inputSize; k++) {
+                this.addConnectionGene(k, this.inputSize + j, this.random.next() * 2 - 1);
+            }
+        }
+    }
+    
+    /**
+     * Number of hidden neurons
+     * @returns {number} Hidden neuron count
+     */
+    get hiddenSize() {
+        return this.nodes.length - this.outputSize;
+    }
+    
+    /**
+     * Number of enabled connections
+     * @returns {number} Connection count
+     */
+    get connectionCount() {
+        return this.connections.filter(connection => connection.enabled).length;
+    }
+    
+    /**
+     * Check whether a node id is an input
+     * @param {number} id Node id
+     * @returns {boolean} True for input nodes
+     */
+    isInput(id) {
+        return id < this.inputSize;
+    }
+    
+    /**
+     * Check whether a node id is an output
+     * @param {number} id Node id
+     * @returns {boolean} True for output nodes
+     */
+    isOutput(id) {
+        return id >= this.inputSize && id < this.inputSize + this.outputSize;
+    }
+    
+    /**
+     * Options shared by genomes derived from this one (clones and offspring)
+     * @returns {Object} Constructor options without nodes and connections
+     */
+    getOptions() {
+        return {
+            inputSize: this.inputSize,
+            outputSize: this.outputSize,
+            activation: this.hiddenActivation,
+            outputActivation: this.outputActivationNames,
+            innovations: this.innovations,
+            mutationRates: this.mutationRates,
+            compatibility: this.compatibility,
+            random: this.random
+        };
+    }
+    
+    /**
+     * Add a connection gene, keeping the genes in innovation order
+     * @param {number} from Source node id
+     * @param {number} to Target node id
+     * @param {number} weight Connection weight
+     * @returns {Object} New connection gene
+     */
+    addConnectionGene(from, to, weight) {
+        const connection = { innovation: this.innovations.connection(from, to), from, to, weight, enabled: true };
+        
+        let index = this.connections.length;
+        while (index > 0 && this.connections[index - 1].innovation > connection.innovation) {
+            index--;
+        }
+        this.connections.splice(index, 0, connection);
+        
+        this.program = null;
+        return connection;
+    }
+    
+    /**
+     * Order the neurons so each is evaluated after its inputs, and pack their parameters
+     * Inputs and outputs occupy the first value slots; hidden neurons follow
+     */
+    compile() {
+        const slots = new Map();
+        for (let id = 0; id < this.inputSize + this.outputSize; id++) {
+            slots.set(id, id);
+        }
+        
+        const hidden = this.nodes.filter(node => !this.isOutput(node.id));
+        hidden.forEach((node, index) => slots.set(node.id, this.inputSize + this.outputSize + index));
+        
+        // Enabled connections into each neuron (ignoring any that refer to missing neurons)
+        const incoming = new Map();
+        this.nodes.forEach(node => incoming.set(node.id, []));
+        this.connections.forEach(connection => {
+            const validSource = this.isInput(connection.from) || incoming.has(connection.from);
+            if (connection.enabled && validSource && incoming.has(connection.to)) {
+                incoming.get(connection.to).push(connection);
+            }
+        });
+        
+        // Topological order of the hidden neurons (connections never form cycles), then the outputs
+        const order = [];
+        const visited = new Set();
+        const visit = node => {
+            if (visited.has(node.id)) return;
+            visited.add(node.id);
+            
+            incoming.get(node.id).forEach(connection => {
+                if (!this.isInput(connection.from) && !this.isOutput(connection.from)) {
+                    visit(this.nodes.find(candidate => candidate.id === connection.from));
+                }
+            });
+            order.push(node);
+        };
+        hidden.forEach(visit);
+        this.nodes.filter(node => this.isOutput(node.id)).forEach(node => order.push(node));
+        
+        // Pack everything into flat arrays: neuron n reads sources[starts[n]] to sources[starts[n + 1] - 1]
+        const connectionCount = order.reduce((count, node) => count + incoming.get(node.id).length, 0);
+        const program = {
+            slots: new Int32Array(order.length),
+            biases: new Float32Array(order.length),
+            activations: order.map(node => NeuralNetwork.getActivation(node.activation).fn),
+            starts: new Int32Array(order.length + 1),
+            sources: new Int32Array(connectionCount),
+            weights: new Float32Array(connectionCount),
+            values: new Float32Array(this.inputSize + this.outputSize + hidden.length),
+            outputs: new Float32Array(this.outputSize)
+        };
+        
+        let offset = 0;
+        order.forEach((node, n) => {
+            program.slots[n] = slots.get(node.id);
+            program.biases[n] = node.bias;
+            program.starts[n] = offset;
+            
+            incoming.get(node.id).forEach(connection => {
+                program.sources[offset] = slots.get(connection.from);
+                program.weights[offset] = connection.weight;
+                offset++;
+            });
+        });
+        program.starts[order.length] = offset;
+        
+        this.program = program;
+    }
+    
+    /**
+     * Process inputs through the genome
+     * @param {Array} inputs Input values
+     * @returns {Float32Array} Output values (a buffer reused by the next call)
+     */
+    feedForward(inputs) {
+        if (!this.program) {
+            this.compile();
+        }
+        
+        const { slots, biases, activations, starts, sources, weights, values, outputs } = this.program;
+        
+        for (let k = 0; k < this.inputSize; k++) {
+            values[k] = inputs[k];
+        }
+        
+        // Hidden neurons are activated as they are computed; outputs are activated together below
+        const hiddenCount = slots.length - this.outputSize;
+        for (let n = 0; n < slots.length; n++) {
+            let sum = biases[n];
+            for (let c = starts[n]; c < starts[n + 1]; c++) {
+                sum += values[sources[c]] * weights[c];
+            }
+            
+            values[slots[n]] = n < hiddenCount ? activations[n](sum) : sum;
+        }
+        
+        // Apply the output activations (layer activations such as softmax span several outputs)
+        for (let j = 0; j < this.outputSize; j++) {
+            outputs[j] = values[this.inputSize + j];
+        }
+        this.outputRuns.forEach(run => {
+            if (run.activation.layer) {
+                run.activation.fn(outputs, run.start, run.end);
+            } else {
+                for (let j = run.start; j < run.end; j++) {
+                    outputs[j] = run.activation.fn(outputs[j]);
+                }
+            }
+        });
+        
+        return outputs;
+    }
+    
+    /**
+     * Mutate the genome: perturb weights and biases, then maybe change its structure
+     * @param {number} rate Chance of mutating each weight and bias (0-1)
+     * @param {number} amount Maximum amount of mutation
+     * @param {Random} random Random number generator (defaults to the genome's own)
+     */
+    mutate(rate = 0.1, amount = 0.5, random = this.random) {
+        this.connections.forEach(connection => {
+            if (random.next() < rate) {
+                connection.weight += (random.next() * 2 - 1) * amount;
+            }
+        });
+        
+        this.nodes.forEach(node => {
+            if (random.next() < rate) {
+                node.bias += (random.next() * 2 - 1) * amount;
+            }
+        });
+        
+        // Structural mutations
+        const rates = this.mutationRates;
+        if (random.next() < rates.addNode) this.mutateAddNode(random);
+        if (random.next() < rates.addConnection) this.mutateAddConnection(random);
+        if (random.next() < rates.removeNode) this.mutateRemoveNode(random);
+        if (random.next() < rates.removeConnection) this.mutateRemoveConnection(random);
+        
+        this.program = null;
+    }
+    
+    /**
+     * Split a random enabled connection with a new hidden neuron
+     * The incoming connection gets weight 1 and the outgoing one the old weight, so behaviour
+     * changes little until the new neuron's parameters evolve
+     * @param {Random} random Random number generator
+     * @returns {boolean} True if a neuron was added
+     */
+    mutateAddNode(random) {
+        const enabled = this.connections.filter(connection => connection.enabled);
+        if (enabled.length === 0) return false;
+        
+        const connection = enabled[Math.floor(random.next() * enabled.length)];
+        const id = this.innovations.split(connection.innovation);
+        
+        // This genome already split the connection before (and it was re-enabled since)
+        if (this.nodes.some(node => node.id === id)) return false;
+        
+        connection.enabled = false;
+        this.nodes.push({ id, bias: 0, activation: this.hiddenActivation });
+        this.addConnectionGene(connection.from, id, 1);
+        this.addConnectionGene(id, connection.to, connection.weight);
+        return true;
+    }
+    
+    /**
+     * Connect two unconnected neurons (or re-enable a disabled connection), never creating a cycle
+     * @param {Random} random Random number generator
+     * @returns {boolean} True if a connection was added or re-enabled
+     */
+    mutateAddConnection(random) {
+        const hiddenIds = this.nodes.filter(node => !this.isOutput(node.id)).map(node => node.id);
+        const sources = [...Array(this.inputSize).keys(), ...hiddenIds];
+        const targets = this.nodes.map(node => node.id);
+        
+        for (let attempt = 0; attempt < NEATGenome.ADD_CONNECTION_ATTEMPTS; attempt++) {
+            const from = sources[Math.floor(random.next() * sources.length)];
+            const to = targets[Math.floor(random.next() * targets.length)];
+            if (from === to) continue;
+            
+            const existing = this.connections.find(connection => connection.from === from && connection.to === to);
+            if (existing) {
+                if (existing.enabled) continue;
+                
+                existing.enabled = true;
+                return true;
+            }
+            
+            if (this.leadsTo(to, from)) continue;
+            
+            this.addConnectionGene(from, to, random.next() * 2 - 1);
+            return true;
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Remove a random hidden neuron and its connections
+     * @param {Random} random Random number generator
+     * @returns {boolean} True if a neuron was removed
+     */
+    mutateRemoveNode(random) {
+        const hidden = this.nodes.filter(node => !this.isOutput(node.id));
+        if (hidden.length === 0) return false;
+        
+        const removed = hidden[Math.floor(random.next() * hidden.length)];
+        this.nodes = this.nodes.filter(node => node !== removed);
+        this.connections = this.connections.filter(connection =>
+            connection.from !== removed.id && connection.to !== removed.id
+        );
+        return true;
+    }
+    
+    /**
+     * Remove a random connection
+     * @param {Random} random Random number generator
+     * @returns {boolean} True if a connection was removed
+     */
+    mutateRemoveConnection(random) {
+        if (this.connections.length === 0) return false;
+        
+        this.connections.splice(Math.floor(random.next() * this.connections.length), 1);
+        return true;
+    }
+    
+    /**
+     * Check whether a path of connections (enabled or not) leads from one neuron to another
+     * @param {number} from Start node id
+     * @param {number} to Destination node id
+     * @returns {boolean} True if the destination is reachable
+     */
+    leadsTo(from, to) {
+        const pending = [from];
+        const seen = new Set(pending);
+        
+        while (pending.length > 0) {
+            const id = pending.pop();
+            if (id === to) return true;
+            
+            this.connections.forEach(connection => {
+                if (connection.from === id && !seen.has(connection.to)) {
+                    seen.add(connection.to);
+                    pending.push(connection.to);
+                }
+            });
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Create an offspring genome from this genome and another
+     * Matching genes (same innovation number) are picked at random; disjoint and excess genes
+     * come from this genome, so the offspring keeps this genome's topology
+     * @param {NEATGenome} other Genome to cross with
+     * @param {number} crossoverRate Chance of taking each matching gene from this genome (0-1)
+     * @param {Random} random Random number generator (defaults to the genome's own)
+     * @returns {NEATGenome} Offspring genome
+     */
+    crossover(other, crossoverRate = 0.5, random = this.random) {
+        if (!(other instanceof NEATGenome)) {
+            throw new Error("Cannot crossover a NEAT genome with a fixed-topology network");
+        }
+        if (this.inputSize !== other.inputSize || this.outputSize !== other.outputSize) {
+            throw new Error("Cannot crossover genomes with different inputs or outputs");
+        }
+        
+        const otherConnections = new Map(other.connections.map(connection => [connection.innovation, connection]));
+        const otherNodes = new Map(other.nodes.map(node => [node.id, node]));
+        
+        const connections = this.connections.map(connection => {
+            const match = otherConnections.get(connection.innovation);
+            const gene = match && random.next() >= crossoverRate ? match : connection;
+            return { ...connection, weight: gene.weight, enabled: gene.enabled };
+        });
+        
+        const nodes = this.nodes.map(node => {
+            const match = otherNodes.get(node.id);
+            const gene = match && random.next() >= crossoverRate ? match : node;
+            return { ...node, bias: gene.bias };
+        });
+        
+        return new NEATGenome({ ...this.getOptions(), nodes, connections });
+    }
+    
+    /**
+     * Create a copy of this genome
+     * @returns {NEATGenome} Copy sharing the innovation tracker
+     */
+    clone() {
+        return new NEATGenome({ ...this.getOptions(), nodes: this.nodes, connections: this.connections });
+    }
+    
+    /**
+     * Compatibility distance to another genome (NEAT's delta)
+     * Counts excess and disjoint connection genes relative to the larger genome, plus the mean
+     * weight difference of matching genes; identical genomes are 0 apart
+     * @param {NEATGenome} other Genome to compare with
+     * @returns {number} Compatibility distance
+     */
+    difference(other) {
+        const mine = this.connections;
+        const theirs = other.connections;
+        let excess = 0;
+        let disjoint = 0;
+        let matching = 0;
+        let weightDifference = 0;
+        
+        // Walk both gene lists in innovation order
+        const lastMine = mine.length > 0 ? mine[mine.length - 1].innovation : -1;
+        const lastTheirs = theirs.length > 0 ? theirs[theirs.length - 1].innovation : -1;
+        let i = 0;
+        let j = 0;
+        while (i < mine.length || j < theirs.length) {
+            const a = mine[i];
+            const b = theirs[j];
+            
+            if (a && b && a.innovation === b.innovation) {
+                matching++;
+                weightDifference += Math.abs(a.weight - b.weight);
+                i++;
+                j++;
+            } else if (b === undefined || (a && a.innovation < b.innovation)) {
+                if (a.innovation > lastTheirs) excess++; else disjoint++;
+                i++;
+            } else {
+                if (b.innovation > lastMine) excess++; else disjoint++;
+                j++;
+            }
+        }
+        
+        const genes = Math.max(mine.length, theirs.length, 1);
+        const { excess: excessWeight, disjoint: disjointWeight, weight } = this.compatibility;
+        return excessWeight * excess / genes +
+            disjointWeight * disjoint / genes +
+            weight * (matching > 0 ? weightDifference / matching : 0);
+    }
+    
+    /**
+     * Compress the genome by removing connections with small weights
+     * @param {number} threshold Threshold below which connections are removed
+     * @returns {number} Number of connections removed
+     */
+    prune(threshold = 0.01) {
+        const before = this.connections.length;
+        this.connections = this.connections.filter(connection => Math.abs(connection.weight) >= threshold);
+        this.program = null;
+        
+        return before - this.connections.length;
+    }
+    
+    /**
+     * Convert the genome to a JSON representation
+     * The type field tells it apart from a NeuralNetwork (see Species.brainFromJSON)
+     */
+    toJSON() {
+        return {
+            type: 'neat',
+            inputSize: this.inputSize,
+            outputSize: this.outputSize,
+            activation: this.hiddenActivation,
+            outputActivation: [...this.outputActivationNames],
+            nodes: this.nodes.map(node => ({ ...node })),
+            connections: this.connections.map(connection => ({ ...connection }))
+        };
+    }
+    
+    /**
+     * Create a genome from JSON
+     * Without an innovation tracker, one is rebuilt from the genome's own genes
+     * @param {Object} json JSON representation of a genome
+     * @param {Object} options Extra constructor options (innovations, mutationRates, random, ...)
+     * @returns {NEATGenome} Reconstructed genome
+     */
+    static fromJSON(json, options = {}) {
+        if (!json || !Array.isArray(json.nodes) || !Array.isArray(json.connections)) {
+            throw new Error('NEAT genome JSON needs nodes and connections arrays');
+        }
+        
+        let innovations = options.innovations;
+        if (!innovations) {
+            innovations = new InnovationTracker(json.inputSize, json.outputSize);
+            json.connections.forEach(connection => {
+                innovations.connections[`${connection.from}->${connection.to}`] = connection.innovation;
+                innovations.nextInnovation = Math.max(innovations.nextInnovation, connection.innovation + 1);
+            });
+            json.nodes.forEach(node => {
+                innovations.nextNodeId = Math.max(innovations.nextNodeId, node.id + 1);
+            });
+        }
+        
+        return new NEATGenome({
+            ...options,
+            inputSize: json.inputSize,
+            outputSize: json.outputSize,
+            activation: json.activation,
+            outputActivation: json.outputActivation,
+            innovations,
+            nodes: json.nodes,
+            connections: json.connections
+        });
+    }
+}
+
+// Default chance per mutate() call of each structural mutation
+NEATGenome.MUTATION_RATES = {
+    addConnection: 0.1,
+    addNode: 0.05,
+    removeConnection: 0.02,
+    removeNode: 0.01
+};
+
+// Default weights of the compatibility distance terms (as in the original NEAT paper)
+NEATGenome.COMPATIBILITY = {
+    excess: 1,
+    disjoint: 1,
+    weight: 0.4
+};
+
+// Random neuron pairs tried before giving up on adding a connection
+NEATGenome.ADD_CONNECTION_ATTEMPTS = 20;
\ No newline at end of file
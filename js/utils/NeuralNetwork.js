@@ -6,60 +6,224 @@ class NeuralNetwork {
     /**
      * Initialize a neural network
      * @param {Object} options Configuration options
-     * @param {Array} options.layers Array of layer sizes (e.g. [4, 8, 3] for 4 inputs, 8 hidden neurons, 3 outputs)
-     * @param {Function} options.activation Activation function (defaults to sigmoid)
+     * @param {number} options.inputSize Number of inputs
+     * @param {Array} options.hiddenLayers Hidden layer sizes (e.g. [8, 6]; empty for no hidden layers)
+     * @param {number} options.outputSize Number of outputs
+     * @param {string|Array} options.activation Activation name for every layer, or one entry per layer
+     *        (an entry may itself be an array of names, one per neuron; defaults to 'sigmoid')
+     * @param {string|Array} options.outputActivation Activation for the output layer (overrides options.activation)
      * @param {Array} options.weights Pre-defined weights (for loading saved networks)
      * @param {Array} options.biases Pre-defined biases (for loading saved networks)
+     * @param {Random} options.random Random number generator (defaults to Math.random)
      */
     constructor(options = {}) {
-        this.layers = options.layers || [3, 4, 2]; // Default: 3 inputs, 4 hidden, 2 outputs
-        this.activation = options.activation || NeuralNetwork.sigmoid;
-        this.activationName = options.activationName || 'sigmoid';
-        this.weights = [];
-        this.biases = [];
+        if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+            throw new Error('NeuralNetwork expects an options object: { inputSize, hiddenLayers, outputSize, activation }');
+        }
+        
+        const hiddenLayers = options.hiddenLayers || [];
+        if (!Array.isArray(hiddenLayers)) {
+            throw new Error(`NeuralNetwork hiddenLayers must be an array of layer sizes, got ${hiddenLayers}`);
+        }
+        
+        NeuralNetwork.validateLayerSize('inputSize', options.inputSize);
+        hiddenLayers.forEach((size, index) => NeuralNetwork.validateLayerSize(`hiddenLayers[${index}]`, size));
+        NeuralNetwork.validateLayerSize('outputSize', options.outputSize);
+        
+        // Layer sizes from inputs to outputs (e.g. [4, 8, 3])
+        this.layers = [options.inputSize, ...hiddenLayers, options.outputSize];
+        
+        // Resolve the activation of every layer (or neuron) by name
+        this.activationNames = this.resolveActivations(options.activation || 'sigmoid', options.outputActivation);
+        this.layerActivations = this.activationNames.map((names, i) =>
+            NeuralNetwork.compileActivations(names, this.layers[i + 1])
+        );
+        
+        // Activation of each output neuron, so consumers can interpret the outputs
+        const outputNames = this.activationNames[this.activationNames.length - 1];
+        this.outputActivations = [];
+        for (let j = 0; j < this.outputSize; j++) {
+            this.outputActivations.push(NeuralNetwork.getActivation(Array.isArray(outputNames) ? outputNames[j] : outputNames));
+        }
+        
+        // Networks with equal keys can be evaluated together (see NeuralNetworkBatch)
+        this.architectureKey = JSON.stringify([this.layers, this.activationNames]);
         
-        // Initialize weights and biases if not provided
+        this.random = options.random || NeuralNetwork.defaultRandom;
+        
+        // Each layer's weights live in one contiguous Float32Array, row by row: the weight
+        // from input k to neuron j of layer i is weights[i][j * layers[i] + k]
         if (!options.weights || !options.biases) {
             this.initialize();
         } else {
-            this.weights = options.weights;
-            this.biases = options.biases;
+            this.setParameters(options.weights, options.biases);
         }
         
-        // Cache for forward pass calculations
-        this.layerOutputs = [];
+        // Preallocated activations of every layer (index 0 holds the inputs)
+        this.layerOutputs = this.layers.map(size => new Float32Array(size));
+    }
+    
+    /**
+     * Number of inputs
+     * @returns {number} Input layer size
+     */
+    get inputSize() {
+        return this.layers[0];
+    }
+    
+    /**
+     * Hidden layer sizes
+     * @returns {Array} Sizes of the layers between input and output
+     */
+    get hiddenLayers() {
+        return this.layers.slice(1, -1);
+    }
+    
+    /**
+     * Number of outputs
+     * @returns {number} Output layer size
+     */
+    get outputSize() {
+        return this.layers[this.layers.length - 1];
+    }
+    
+    /**
+     * Constructor options describing this network's shape and activations
+     * @returns {Object} Options ({ inputSize, hiddenLayers, outputSize, activation })
+     */
+    getArchitecture() {
+        return {
+            inputSize: this.inputSize,
+            hiddenLayers: this.hiddenLayers,
+            outputSize: this.outputSize,
+            activation: this.activationNames.map(names => Array.isArray(names) ? [...names] : names)
+        };
+    }
+    
+    /**
+     * Expand the activation options into one entry per layer
+     * @param {string|Array} activation Name for every layer, or one entry per layer
+     * @param {string|Array} outputActivation Optional override for the output layer
+     * @returns {Array} Registered names per layer (a string, or an array with one name per neuron)
+     */
+    resolveActivations(activation, outputActivation) {
+        const layerCount = this.layers.length - 1;
+        const shape = this.layers.join('-');
+        let names;
+        
+        if (Array.isArray(activation)) {
+            if (activation.length !== layerCount) {
+                throw new Error(`Network ${shape} needs ${layerCount} layer activations, got ${activation.length}`);
+            }
+            names = [...activation];
+        } else {
+            names = new Array(layerCount).fill(activation);
+        }
         
-        // Performance optimization flag
-        this.useOptimizedOperations = true;
+        if (outputActivation) {
+            names[layerCount - 1] = outputActivation;
+        }
+        
+        return names.map((entry, i) => {
+            if (!Array.isArray(entry)) {
+                return NeuralNetwork.getActivation(entry).name;
+            }
+            
+            if (entry.length !== this.layers[i + 1]) {
+                throw new Error(`Network ${shape} layer ${i + 1} needs ${this.layers[i + 1]} neuron activations, got ${entry.length}`);
+            }
+            return entry.map(name => NeuralNetwork.getActivation(name).name);
+        });
+    }
+    
+    /**
+     * Check that pre-defined weights and biases match the layer sizes
+     * @param {Array} weights Weights per layer, nested per neuron and input or flat per layer
+     * @param {Array} biases Biases per layer and neuron
+     */
+    validateParameters(weights, biases) {
+        const shape = this.layers.join('-');
+        
+        if (weights.length !== this.layers.length - 1 || biases.length !== this.layers.length - 1) {
+            throw new Error(`Network ${shape} needs ${this.layers.length - 1} weight and bias layers, got ${weights.length} and ${biases.length}`);
+        }
+        
+        for (let i = 0; i < weights.length; i++) {
+            const inputs = this.layers[i];
+            const neurons = this.layers[i + 1];
+            if (biases[i].length !== neurons) {
+                throw new Error(`Network ${shape} layer ${i + 1} needs ${neurons} biases, got ${biases[i].length}`);
+            }
+            
+            if (NeuralNetwork.isFlat(weights[i])) {
+                if (weights[i].length !== neurons * inputs) {
+                    throw new Error(`Network ${shape} layer ${i + 1} needs ${neurons * inputs} weights, got ${weights[i].length}`);
+                }
+                continue;
+            }
+            
+            if (weights[i].length !== neurons) {
+                throw new Error(`Network ${shape} layer ${i + 1} needs ${neurons} weight rows, got ${weights[i].length}`);
+            }
+            weights[i].forEach((neuronWeights, j) => {
+                if (neuronWeights.length !== inputs) {
+                    throw new Error(`Network ${shape} layer ${i + 1} neuron ${j} needs ${inputs} weights, got ${neuronWeights.length}`);
+                }
+            });
+        }
+    }
+    
+    /**
+     * Load pre-defined weights and biases
+     * Float32Arrays are used as-is; nested (toJSON) or plain arrays are copied into new Float32Arrays
+     * @param {Array} weights Weights per layer, nested per neuron and input or flat per layer
+     * @param {Array} biases Biases per layer and neuron
+     */
+    setParameters(weights, biases) {
+        this.validateParameters(weights, biases);
+        
+        this.weights = weights.map((layerWeights, i) => {
+            if (layerWeights instanceof Float32Array) return layerWeights;
+            if (NeuralNetwork.isFlat(layerWeights)) return Float32Array.from(layerWeights);
+            
+            // Copy neuron rows into one contiguous block
+            const inputs = this.layers[i];
+            const flat = new Float32Array(layerWeights.length * inputs);
+            layerWeights.forEach((neuronWeights, j) => flat.set(neuronWeights, j * inputs));
+            return flat;
+        });
+        this.biases = biases.map(layerBiases =>
+            layerBiases instanceof Float32Array ? layerBiases : Float32Array.from(layerBiases)
+        );
     }
     
     /**
      * Initialize weights with random values
      */
     initialize() {
+        this.weights = [];
+        this.biases = [];
+        
         // Initialize weights between layers
         for (let i = 0; i < this.layers.length - 1; i++) {
-            const layerWeights = [];
-            const layerBiases = [];
+            const inputs = this.layers[i];
+            const neurons = this.layers[i + 1];
+            const layerWeights = new Float32Array(neurons * inputs);
+            const layerBiases = new Float32Array(neurons);
             
             // Xavier/Glorot initialization for better convergence
-            const fanIn = this.layers[i];
-            const fanOut = this.layers[i + 1];
-            const weightScale = Math.sqrt(2 / (fanIn + fanOut));
+            const weightScale = Math.sqrt(2 / (inputs + neurons));
             
             // For each neuron in the current layer
-            for (let j = 0; j < this.layers[i + 1]; j++) {
-                const neuronWeights = [];
-                
+            for (let j = 0; j < neurons; j++) {
                 // For each input from the previous layer
-                for (let k = 0; k < this.layers[i]; k++) {
+                for (let k = 0; k < inputs; k++) {
                     // Random weight with xavier initialization
-                    neuronWeights.push((Math.random() * 2 - 1) * weightScale);
+                    layerWeights[j * inputs + k] = (this.random.next() * 2 - 1) * weightScale;
                 }
                 
-                layerWeights.push(neuronWeights);
                 // Random bias centered at zero
-                layerBiases.push((Math.random() * 2 - 1) * 0.1);
+                layerBiases[j] = (this.random.next() * 2 - 1) * 0.1;
             }
             
             this.weights.push(layerWeights);
@@ -69,112 +233,111 @@ class NeuralNetwork {
     
     /**
      * Feed forward through the network to get output values
+     * The returned array is the network's own output buffer and is overwritten by the next call
      * @param {Array} inputs Array of input values
-     * @returns {Array} Output values
+     * @returns {Float32Array} Output values
      */
     feedForward(inputs) {
-        if (this.useOptimizedOperations) {
-            return this.feedForwardOptimized(inputs);
+        const buffers = this.layerOutputs;
+        const inputBuffer = buffers[0];
+        for (let k = 0; k < inputBuffer.length; k++) {
+            inputBuffer[k] = inputs[k];
         }
         
-        let outputs = inputs;
-        this.layerOutputs = [inputs]; // Store input as first layer output
-        
         // Process each layer
         for (let i = 0; i < this.weights.length; i++) {
-            const layerOutputs = [];
+            const input = buffers[i];
+            const output = buffers[i + 1];
+            const weights = this.weights[i];
+            const biases = this.biases[i];
+            const inputSize = input.length;
             
-            // For each neuron in the current layer
-            for (let j = 0; j < this.weights[i].length; j++) {
-                let sum = this.biases[i][j];
+            // Matrix-vector product over the contiguous weight rows, four inputs at a time
+            const unrolled = inputSize - (inputSize % 4);
+            for (let j = 0, row = 0; j < output.length; j++, row += inputSize) {
+                let sum = biases[j];
+                let k = 0;
                 
-                // Sum weighted inputs
-                for (let k = 0; k < this.weights[i][j].length; k++) {
-                    sum += outputs[k] * this.weights[i][j][k];
+                for (; k < unrolled; k += 4) {
+                    const w = row + k;
+                    sum += input[k] * weights[w] +
+                           input[k + 1] * weights[w + 1] +
+                           input[k + 2] * weights[w + 2] +
+                           input[k + 3] * weights[w + 3];
                 }
                 
-                // Apply activation function
-                layerOutputs.push(this.activation(sum));
+                // Handle remaining inputs
+                for (; k < inputSize; k++) {
+                    sum += input[k] * weights[row + k];
+                }
+                
+                output[j] = sum;
             }
             
-            outputs = layerOutputs;
-            this.layerOutputs.push(outputs);
+            // Apply activation functions
+            this.activateLayer(i, output);
         }
         
-        return outputs;
+        return buffers[buffers.length - 1];
     }
     
     /**
-     * Optimized feed forward implementation using matrix operations
-     * @param {Array} inputs Array of input values
-     * @returns {Array} Output values
+     * Apply a layer's activation functions to its weighted sums
+     * @param {number} layerIndex Index of the layer (0 is the first hidden layer)
+     * @param {Array} values Weighted sums, replaced in place by the activations
+     * @param {number} offset Position of the layer's first neuron in values (for packed batches)
+     * @returns {Array} The activated values
      */
-    feedForwardOptimized(inputs) {
-        let outputs = inputs;
-        this.layerOutputs = [inputs]; // Store input as first layer output
+    activateLayer(layerIndex, values, offset = 0) {
+        const runs = this.layerActivations[layerIndex];
         
-        // Process each layer
-        for (let i = 0; i < this.weights.length; i++) {
-            const currentLayerSize = this.weights[i].length;
-            const prevLayerSize = this.weights[i][0].length;
-            const layerOutputs = new Array(currentLayerSize).fill(0);
+        for (let r = 0; r < runs.length; r++) {
+            const start = runs[r].start + offset;
+            const end = runs[r].end + offset;
+            const activation = runs[r].activation;
             
-            // Vectorized matrix-vector multiplication
-            for (let j = 0; j < currentLayerSize; j++) {
-                let sum = this.biases[i][j];
-                const weights = this.weights[i][j];
-                
-                // Unrolled loop for better performance
-                for (let k = 0; k < prevLayerSize; k += 4) {
-                    // Process 4 inputs at once if possible
-                    if (k + 3 < prevLayerSize) {
-                        sum += outputs[k] * weights[k] + 
-                               outputs[k+1] * weights[k+1] + 
-                               outputs[k+2] * weights[k+2] + 
-                               outputs[k+3] * weights[k+3];
-                    } else {
-                        // Handle remaining elements
-                        for (let m = k; m < prevLayerSize; m++) {
-                            sum += outputs[m] * weights[m];
-                        }
-                    }
-                }
-                
-                // Apply activation function
-                layerOutputs[j] = this.activation(sum);
+            // Layer-wide activations (e.g. softmax) see the whole run at once
+            if (activation.layer) {
+                activation.fn(values, start, end);
+                continue;
             }
             
-            outputs = layerOutputs;
-            this.layerOutputs.push(outputs);
+            const fn = activation.fn;
+            for (let j = start; j < end; j++) {
+                values[j] = fn(values[j]);
+            }
         }
         
-        return outputs;
+        return values;
     }
     
     /**
      * Mutate the network with random changes
      * @param {number} rate Mutation rate (0-1)
      * @param {number} amount Maximum amount of mutation
+     * @param {Random} random Random number generator (defaults to the network's own)
      */
-    mutate(rate = 0.1, amount = 0.5) {
+    mutate(rate = 0.1, amount = 0.5, random = this.random) {
         // Mutate weights
         for (let i = 0; i < this.weights.length; i++) {
-            for (let j = 0; j < this.weights[i].length; j++) {
-                for (let k = 0; k < this.weights[i][j].length; k++) {
-                    if (Math.random() < rate) {
-                        // Apply mutation: add or subtract a random value
-                        this.weights[i][j][k] += (Math.random() * 2 - 1) * amount;
-                    }
+            const weights = this.weights[i];
+            
+            for (let w = 0; w < weights.length; w++) {
+                if (random.next() < rate) {
+                    // Apply mutation: add or subtract a random value
+                    weights[w] += (random.next() * 2 - 1) * amount;
                 }
             }
         }
         
         // Mutate biases
         for (let i = 0; i < this.biases.length; i++) {
-            for (let j = 0; j < this.biases[i].length; j++) {
-                if (Math.random() < rate) {
+            const biases = this.biases[i];
+            
+            for (let b = 0; b < biases.length; b++) {
+                if (random.next() < rate) {
                     // Apply mutation: add or subtract a random value
-                    this.biases[i][j] += (Math.random() * 2 - 1) * amount;
+                    biases[b] += (random.next() * 2 - 1) * amount;
                 }
             }
         }
@@ -184,9 +347,10 @@ class NeuralNetwork {
      * Create a new neural network that is a crossover between this and another
      * @param {NeuralNetwork} other Another neural network to cross with
      * @param {number} crossoverRate Rate of gene crossover (0-1)
+     * @param {Random} random Random number generator (defaults to the network's own)
      * @returns {NeuralNetwork} New neural network with combined properties
      */
-    crossover(other, crossoverRate = 0.5) {
+    crossover(other, crossoverRate = 0.5, random = this.random) {
         // Verify compatibility
         if (this.layers.length !== other.layers.length) {
             throw new Error("Cannot crossover networks with different architectures");
@@ -198,53 +362,27 @@ class NeuralNetwork {
             }
         }
         
-        // Create new weights and biases arrays
-        const newWeights = [];
-        const newBiases = [];
-        
-        // Cross weights
-        for (let i = 0; i < this.weights.length; i++) {
-            const layerWeights = [];
-            
-            for (let j = 0; j < this.weights[i].length; j++) {
-                const neuronWeights = [];
-                
-                for (let k = 0; k < this.weights[i][j].length; k++) {
-                    // Randomly choose weight from either parent
-                    if (Math.random() < crossoverRate) {
-                        neuronWeights.push(this.weights[i][j][k]);
-                    } else {
-                        neuronWeights.push(other.weights[i][j][k]);
-                    }
-                }
-                
-                layerWeights.push(neuronWeights);
-            }
-            
-            newWeights.push(layerWeights);
+        if (JSON.stringify(this.activationNames) !== JSON.stringify(other.activationNames)) {
+            throw new Error("Cannot crossover networks with different activations");
         }
         
-        // Cross biases
-        for (let i = 0; i < this.biases.length; i++) {
-            const layerBiases = [];
-            
-            for (let j = 0; j < this.biases[i].length; j++) {
-                // Randomly choose bias from either parent
-                if (Math.random() < crossoverRate) {
-                    layerBiases.push(this.biases[i][j]);
-                } else {
-                    layerBiases.push(other.biases[i][j]);
-                }
+        // Randomly choose each gene from either parent
+        const cross = (mine, theirs) => {
+            const genes = new Float32Array(mine.length);
+            for (let g = 0; g < mine.length; g++) {
+                genes[g] = random.next() < crossoverRate ? mine[g] : theirs[g];
             }
-            
-            newBiases.push(layerBiases);
-        }
+            return genes;
+        };
+        
+        // Cross weights, then biases
+        const newWeights = this.weights.map((weights, i) => cross(weights, other.weights[i]));
+        const newBiases = this.biases.map((biases, i) => cross(biases, other.biases[i]));
         
         // Create a new neural network with the crossed genes
         return new NeuralNetwork({
-            layers: [...this.layers],
-            activation: this.activation,
-            activationName: this.activationName,
+            ...this.getArchitecture(),
+            random: this.random,
             weights: newWeights,
             biases: newBiases
         });
@@ -255,31 +393,12 @@ class NeuralNetwork {
      * @returns {NeuralNetwork} Copy of this neural network
      */
     clone() {
-        // Deep copy weights
-        const newWeights = [];
-        for (let i = 0; i < this.weights.length; i++) {
-            const layerWeights = [];
-            
-            for (let j = 0; j < this.weights[i].length; j++) {
-                layerWeights.push([...this.weights[i][j]]);
-            }
-            
-            newWeights.push(layerWeights);
-        }
-        
-        // Deep copy biases
-        const newBiases = [];
-        for (let i = 0; i < this.biases.length; i++) {
-            newBiases.push([...this.biases[i]]);
-        }
-        
-        // Create a new neural network as a clone
+        // Create a new neural network with copies of the weights and biases
         return new NeuralNetwork({
-            layers: [...this.layers],
-            activation: this.activation,
-            activationName: this.activationName,
-            weights: newWeights,
-            biases: newBiases
+            ...this.getArchitecture(),
+            random: this.random,
+            weights: this.weights.map(weights => weights.slice()),
+            biases: this.biases.map(biases => biases.slice())
         });
     }
     
@@ -292,22 +411,21 @@ class NeuralNetwork {
         let totalDiff = 0;
         let totalElements = 0;
         
-        // Compare weights
+        // Compare weights and biases layer by layer
         for (let i = 0; i < this.weights.length; i++) {
-            for (let j = 0; j < this.weights[i].length; j++) {
-                for (let k = 0; k < this.weights[i][j].length; k++) {
-                    totalDiff += Math.abs(this.weights[i][j][k] - other.weights[i][j][k]);
-                    totalElements++;
-                }
+            const weights = this.weights[i];
+            const otherWeights = other.weights[i];
+            for (let w = 0; w < weights.length; w++) {
+                totalDiff += Math.abs(weights[w] - otherWeights[w]);
             }
-        }
-        
-        // Compare biases
-        for (let i = 0; i < this.biases.length; i++) {
-            for (let j = 0; j < this.biases[i].length; j++) {
-                totalDiff += Math.abs(this.biases[i][j] - other.biases[i][j]);
-                totalElements++;
+            
+            const biases = this.biases[i];
+            const otherBiases = other.biases[i];
+            for (let b = 0; b < biases.length; b++) {
+                totalDiff += Math.abs(biases[b] - otherBiases[b]);
             }
+            
+            totalElements += weights.length + biases.length;
         }
         
         // Average difference per parameter
@@ -324,12 +442,12 @@ class NeuralNetwork {
         
         // Prune weights below threshold
         for (let i = 0; i < this.weights.length; i++) {
-            for (let j = 0; j < this.weights[i].length; j++) {
-                for (let k = 0; k < this.weights[i][j].length; k++) {
-                    if (Math.abs(this.weights[i][j][k]) < threshold) {
-                        this.weights[i][j][k] = 0;
-                        prunedCount++;
-                    }
+            const weights = this.weights[i];
+            
+            for (let w = 0; w < weights.length; w++) {
+                if (Math.abs(weights[w]) < threshold) {
+                    weights[w] = 0;
+                    prunedCount++;
                 }
             }
         }
@@ -339,39 +457,134 @@ class NeuralNetwork {
     
     /**
      * Convert network to a compact JSON representation
+     * Weights are written nested per neuron ([layer][neuron][input]) as in earlier saves
      */
     toJSON() {
         return {
             layers: this.layers,
-            activationName: this.activationName,
-            weights: this.weights,
-            biases: this.biases
+            activations: this.activationNames,
+            weights: this.weights.map((weights, i) => {
+                const inputs = this.layers[i];
+                const rows = [];
+                for (let row = 0; row < weights.length; row += inputs) {
+                    rows.push(Array.from(weights.subarray(row, row + inputs)));
+                }
+                return rows;
+            }),
+            biases: this.biases.map(biases => Array.from(biases))
         };
     }
     
     /**
      * Create a neural network from JSON
+     * Older saves only have a single activationName, which is used for every layer
      * @param {Object} json JSON representation of a neural network
      * @returns {NeuralNetwork} Reconstructed neural network
      */
     static fromJSON(json) {
-        // Select activation function based on name
-        const activationMap = {
-            'sigmoid': NeuralNetwork.sigmoid,
-            'relu': NeuralNetwork.relu,
-            'tanh': NeuralNetwork.tanh,
-            'leakyRelu': NeuralNetwork.leakyRelu
-        };
+        if (!json || !Array.isArray(json.layers) || json.layers.length < 2) {
+            throw new Error('Network JSON needs a layers array with at least an input and an output size');
+        }
         
+        const layers = json.layers;
         return new NeuralNetwork({
-            layers: json.layers,
-            activation: activationMap[json.activationName] || NeuralNetwork.sigmoid,
-            activationName: json.activationName || 'sigmoid',
+            inputSize: layers[0],
+            hiddenLayers: layers.slice(1, -1),
+            outputSize: layers[layers.length - 1],
+            activation: json.activations || json.activationName || 'sigmoid',
             weights: json.weights,
             biases: json.biases
         });
     }
     
+    /**
+     * Check that a layer size is a positive integer
+     * @param {string} name Option name used in the error message
+     * @param {*} size Layer size to check
+     */
+    static validateLayerSize(name, size) {
+        if (!Number.isInteger(size) || size < 1) {
+            throw new Error(`NeuralNetwork ${name} must be a positive integer, got ${size}`);
+        }
+    }
+    
+    /**
+     * Check whether a layer's weights are stored flat rather than nested per neuron
+     * @param {Array} layerWeights Weights of one layer
+     * @returns {boolean} True for a typed array or an array of numbers
+     */
+    static isFlat(layerWeights) {
+        return ArrayBuffer.isView(layerWeights) || typeof layerWeights[0] === 'number';
+    }
+    
+    /**
+     * Group a layer's neurons into runs that share an activation
+     * @param {string|Array} names Activation name for the layer, or one name per neuron
+     * @param {number} size Number of neurons in the layer
+     * @returns {Array} Runs ({ start, end, activation }) covering the layer
+     */
+    static compileActivations(names, size) {
+        if (!Array.isArray(names)) {
+            return [{ start: 0, end: size, activation: NeuralNetwork.getActivation(names) }];
+        }
+        
+        const runs = [];
+        names.forEach((name, index) => {
+            const activation = NeuralNetwork.getActivation(name);
+            const previous = runs[runs.length - 1];
+            
+            if (previous && previous.activation === activation) {
+                previous.end = index + 1;
+            } else {
+                runs.push({ start: index, end: index + 1, activation });
+            }
+        });
+        
+        return runs;
+    }
+    
+    /**
+     * Register an activation function so networks can refer to it by name
+     * Names are matched case-insensitively ('leakyReLU' and 'leakyRelu' are the same)
+     * @param {string} name Activation name
+     * @param {Function} fn Function mapping a weighted sum to a neuron output, or for layer
+     *        activations a function (values, start, end) that transforms a run of values in place
+     * @param {Object} options Activation options
+     * @param {boolean} options.layer Whether fn works on a whole run of neurons (e.g. softmax)
+     * @param {Array} options.range Output range as [min, max] (defaults to unbounded)
+     */
+    static registerActivation(name, fn, options = {}) {
+        if (typeof name !== 'string' || name.length === 0) {
+            throw new Error('Activation name must be a non-empty string');
+        }
+        if (typeof fn !== 'function') {
+            throw new Error(`Activation '${name}' must be a function`);
+        }
+        
+        NeuralNetwork.activations[name.toLowerCase()] = {
+            name,
+            fn,
+            layer: Boolean(options.layer),
+            range: options.range || [-Infinity, Infinity]
+        };
+    }
+    
+    /**
+     * Look up a registered activation function by name
+     * @param {string} name Activation name (case-insensitive)
+     * @returns {Object} Registered activation ({ name, fn, layer, range })
+     */
+    static getActivation(name) {
+        const activation = typeof name === 'string' ? NeuralNetwork.activations[name.toLowerCase()] : null;
+        
+        if (!activation) {
+            const known = Object.values(NeuralNetwork.activations).map(entry => entry.name).join(', ');
+            throw new Error(`Unknown activation function: ${name} (registered: ${known})`);
+        }
+        
+        return activation;
+    }
+    
     /**
      * Sigmoid activation function
      * @param {number} x Input value
@@ -417,4 +630,54 @@ class NeuralNetwork {
         const e2x = Math.exp(2 * x);
         return (e2x - 1) / (e2x + 1);
     }
-}
\ No newline at end of file
+    
+    /**
+     * Linear (identity) activation function
+     * @param {number} x Input value
+     * @returns {number} Output value (x)
+     */
+    static linear(x) {
+        return x;
+    }
+    
+    /**
+     * Softmax activation, applied across a run of neurons
+     * @param {Array} values Layer values, transformed in place
+     * @param {number} start First neuron of the run
+     * @param {number} end One past the last neuron of the run
+     * @returns {Array} The values, now summing to 1 over the run
+     */
+    static softmax(values, start = 0, end = values.length) {
+        // Subtract the maximum to keep Math.exp in range
+        let max = -Infinity;
+        for (let j = start; j < end; j++) {
+            max = Math.max(max, values[j]);
+        }
+        
+        let sum = 0;
+        for (let j = start; j < end; j++) {
+            values[j] = Math.exp(values[j] - max);
+            sum += values[j];
+        }
+        
+        for (let j = start; j < end; j++) {
+            values[j] /= sum;
+        }
+        
+        return values;
+    }
+}
+
+// Activation functions by lower-cased name (see registerActivation)
+NeuralNetwork.activations = {};
+NeuralNetwork.registerActivation('sigmoid', NeuralNetwork.sigmoid, { range: [0, 1] });
+NeuralNetwork.registerActivation('relu', NeuralNetwork.relu, { range: [0, Infinity] });
+NeuralNetwork.registerActivation('leakyRelu', x => NeuralNetwork.leakyRelu(x));
+NeuralNetwork.registerActivation('tanh', NeuralNetwork.tanh, { range: [-1, 1] });
+NeuralNetwork.registerActivation('linear', NeuralNetwork.linear);
+NeuralNetwork.registerActivation('softmax', NeuralNetwork.softmax, { layer: true, range: [0, 1] });
+
+// Random source used when no seeded generator is injected
+NeuralNetwork.defaultRandom = {
+    next: () => Math.random()
+};
\ No newline at end of file
@@ -0,0 +1,185 @@
+/**
+ * Neural Network Batch class
+ * Evaluates many networks that share an architecture in one pass over packed weights
+ */
+class NeuralNetworkBatch {
+    /**
+     * Initialize an empty batch
+     * Networks are added with setNetworks(), inputs written through inputView() and
+     * all networks run at once with evaluate()
+     */
+    constructor() {
+        // Network in each slot, and the one whose layers and activations the batch follows
+        this.networks = [];
+        this.template = null;
+        this.capacity = 0;
+        
+        // Packed parameters: slot n's weights for layer i start at n * layers[i + 1] * layers[i]
+        this.weights = [];
+        this.biases = [];
+        
+        // Packed activations of every layer, with per-slot views of the inputs and outputs
+        this.layerOutputs = [];
+        this.inputViews = [];
+        this.outputViews = [];
+    }
+    
+    /**
+     * Number of networks in the batch
+     * @returns {number} Network count
+     */
+    get size() {
+        return this.networks.length;
+    }
+    
+    /**
+     * Set the networks to evaluate, repacking only the slots whose network changed
+     * @param {Array} networks Networks with identical layer sizes and activations
+     */
+    setNetworks(networks) {
+        if (networks.length === 0) {
+            this.networks = [];
+            return;
+        }
+        
+        const template = networks[0];
+        networks.forEach(network => {
+            if (network.architectureKey !== template.architectureKey) {
+                throw new Error(`Batched networks must share an architecture: ${network.architectureKey} vs ${template.architectureKey}`);
+            }
+        });
+        
+        // Start over when the architecture changes
+        if (!this.template || this.template.architectureKey !== template.architectureKey) {
+            this.template = template;
+            this.networks = [];
+            this.capacity = 0;
+        }
+        
+        if (networks.length > this.capacity) {
+            this.allocate(Math.max(networks.length, this.capacity * 2));
+        }
+        
+        for (let n = 0; n < networks.length; n++) {
+            if (this.networks[n] !== networks[n]) {
+                this.pack(n, networks[n]);
+                this.networks[n] = networks[n];
+            }
+        }
+        this.networks.length = networks.length;
+    }
+    
+    /**
+     * Force every slot to be repacked on the next setNetworks() call
+     * Needed when a network's weights change in place (e.g. mutate() or prune() on a live brain)
+     */
+    invalidate() {
+        this.networks = [];
+    }
+    
+    /**
+     * Grow the packed buffers, keeping the slots already packed
+     * @param {number} capacity Number of networks the buffers can hold
+     */
+    allocate(capacity) {
+        const layers = this.template.layers;
+        
+        for (let i = 0; i < layers.length - 1; i++) {
+            const weights = new Float32Array(capacity * layers[i + 1] * layers[i]);
+            const biases = new Float32Array(capacity * layers[i + 1]);
+            
+            if (this.capacity > 0) {
+                weights.set(this.weights[i]);
+                biases.set(this.biases[i]);
+            }
+            
+            this.weights[i] = weights;
+            this.biases[i] = biases;
+        }
+        
+        this.layerOutputs = layers.map(size => new Float32Array(capacity * size));
+        
+        // Views are created once here so evaluating allocates nothing
+        const inputSize = layers[0];
+        const outputSize = layers[layers.length - 1];
+        const outputs = this.layerOutputs[layers.length - 1];
+        this.inputViews = [];
+        this.outputViews = [];
+        for (let n = 0; n < capacity; n++) {
+            this.inputViews.push(this.layerOutputs[0].subarray(n * inputSize, (n + 1) * inputSize));
+            this.outputViews.push(outputs.subarray(n * outputSize, (n + 1) * outputSize));
+        }
+        
+        this.capacity = capacity;
+    }
+    
+    /**
+     * Copy a network's parameters into a slot
+     * @param {number} slot Slot index
+     * @param {NeuralNetwork} network Network to pack
+     */
+    pack(slot, network) {
+        for (let i = 0; i < network.weights.length; i++) {
+            this.weights[i].set(network.weights[i], slot * network.weights[i].length);
+            this.biases[i].set(network.biases[i], slot * network.biases[i].length);
+        }
+    }
+    
+    /**
+     * Input vector of one network, to be filled before evaluate()
+     * @param {number} slot Slot index
+     * @returns {Float32Array} View into the packed input buffer
+     */
+    inputView(slot) {
+        return this.inputViews[slot];
+    }
+    
+    /**
+     * Output vector of one network after evaluate()
+     * @param {number} slot Slot index
+     * @returns {Float32Array} View into the shared output buffer (overwritten by the next evaluate())
+     */
+    outputView(slot) {
+        return this.outputViews[slot];
+    }
+    
+    /**
+     * Feed every network's inputs forward
+     * @returns {Float32Array} Shared output buffer, network n's outputs starting at n * outputSize
+     */
+    evaluate() {
+        const layers = this.template.layers;
+        const count = this.networks.length;
+        
+        // Process each layer for all networks before moving to the next
+        for (let i = 0; i < layers.length - 1; i++) {
+            const inputSize = layers[i];
+            const outputSize = layers[i + 1];
+            const input = this.layerOutputs[i];
+            const output = this.layerOutputs[i + 1];
+            const weights = this.weights[i];
+            const biases = this.biases[i];
+            
+            for (let n = 0; n < count; n++) {
+                const inputBase = n * inputSize;
+                const outputBase = n * outputSize;
+                
+                // Matrix-vector product over this network's block of weight rows
+                for (let j = 0, row = outputBase * inputSize; j < outputSize; j++, row += inputSize) {
+                    let sum = biases[outputBase + j];
+                    
+                    for (let k = 0; k < inputSize; k++) {
+                        sum += input[inputBase + k] * weights[row + k];
+                    }
+                    
+                    output[outputBase + j] = sum;
+                }
+                
+                // Apply activation functions
+                this.template.activateLayer(i, output, outputBase);
+            }
+        }
+        
+        return this.layerOutputs[layers.length - 1];
+    }
+}
\ No newline at end of file
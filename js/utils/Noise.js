@@ -0,0 +1,87 @@
+/**
+ * Noise class
+ * Seeded 2D value noise for procedural generation: smooth random values on an integer
+ * lattice, layered in octaves for detail at several scales
+ */
+class Noise {
+    /**
+     * Initialize the noise field
+     * @param {Random} random Random number generator the lattice is drawn from
+     */
+    constructor(random) {
+        const size = Noise.LATTICE_SIZE;
+        
+        // Shuffled lattice indices, doubled so hashing never needs to wrap twice
+        const permutation = Array(size).fill().map((_, i) => i);
+        for (let i = size - 1; i > 0; i--) {
+            const j = random.int(i + 1);
+            [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
+        }
+        this.permutation = new Uint16Array(size * 2);
+        permutation.forEach((value, i) => {
+            this.permutation[i] = value;
+            this.permutation[i + size] = value;
+        });
+        
+        this.values = new Float32Array(size).map(() => random.next());
+    }
+    
+    /**
+     * Random value at a lattice point
+     * @param {number} x Integer x coordinate
+     * @param {number} y Integer y coordinate
+     * @returns {number} Value in [0, 1)
+     */
+    lattice(x, y) {
+        const mask = Noise.LATTICE_SIZE - 1;
+        return this.values[this.permutation[this.permutation[x & mask] + (y & mask)]];
+    }
+    
+    /**
+     * Smoothly interpolated noise
+     * @param {number} x X coordinate (one lattice cell per unit)
+     * @param {number} y Y coordinate
+     * @returns {number} Value in [0, 1)
+     */
+    value(x, y) {
+        const x0 = Math.floor(x);
+        const y0 = Math.floor(y);
+        
+        // Smoothstep the fractions so the lattice does not show as creases
+        const fx = x - x0;
+        const fy = y - y0;
+        const sx = fx * fx * (3 - 2 * fx);
+        const sy = fy * fy * (3 - 2 * fy);
+        
+        const top = this.lattice(x0, y0) + (this.lattice(x0 + 1, y0) - this.lattice(x0, y0)) * sx;
+        const bottom = this.lattice(x0, y0 + 1) + (this.lattice(x0 + 1, y0 + 1) - this.lattice(x0, y0 + 1)) * sx;
+        return top + (bottom - top) * sy;
+    }
+    
+    /**
+     * Fractal noise: octaves of doubling frequency and shrinking amplitude
+     * @param {number} x X coordinate (one lattice cell per unit at the first octave)
+     * @param {number} y Y coordinate
+     * @param {number} octaves Number of octaves
+     * @param {number} persistence Amplitude of each octave relative to the previous one
+     * @returns {number} Value in [0, 1)
+     */
+    fractal(x, y, octaves = 4, persistence = 0.5) {
+        let total = 0;
+        let amplitude = 1;
+        let frequency = 1;
+        let range = 0;
+        
+        for (let i = 0; i < octaves; i++) {
+            total += this.value(x * frequency, y * frequency) * amplitude;
+            range += amplitude;
+            amplitude *= persistence;
+            frequency *= 2;
+        }
+        
+        return total / range;
+    }
+}
+
+// Lattice points before the noise repeats (a power of two)
+Noise.LATTICE_SIZE = 256;
\ No newline at end of file
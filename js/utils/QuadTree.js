@@ -0,0 +1,248 @@
+/**
+ * Quad Tree class
+ * Point quadtree that splits crowded regions into quadrants; adapts to clustered
+ * entities (e.g. herds around food) better than a uniform grid
+ */
+class QuadTree extends SpatialIndex {
+    /**
+     * Initialize an empty tree covering the environment
+     * @param {number} width Environment width
+     * @param {number} height Environment height
+     * @param {Object} options Configuration options
+     * @param {number} options.maxItems Entities a node holds before it splits
+     * @param {number} options.maxDepth Depth below which nodes never split
+     */
+    constructor(width, height, options = {}) {
+        super(width, height);
+        
+        this.maxItems = options.maxItems || QuadTree.DEFAULT_MAX_ITEMS;
+        this.maxDepth = options.maxDepth !== undefined ? options.maxDepth : QuadTree.DEFAULT_MAX_DEPTH;
+        
+        this.clear();
+    }
+    
+    /**
+     * Remove every entity, resetting the tree to a single node over the environment
+     */
+    clear() {
+        this.root = this.createNode(0, 0, this.width, this.height, 0);
+        this.locations.clear();
+    }
+    
+    /**
+     * Create a tree node
+     * Its search bounds (minX, minY, maxX, maxY) match its area, except that nodes on the
+     * environment edge extend beyond it, since childFor() files entities outside the environment into them
+     * @param {number} x Left edge
+     * @param {number} y Top edge
+     * @param {number} width Node width
+     * @param {number} height Node height
+     * @param {number} depth Depth below the root
+     * @returns {Object} Leaf node with no entities
+     */
+    createNode(x, y, width, height, depth) {
+        return {
+            x,
+            y,
+            width,
+            height,
+            depth,
+            minX: x > 0 ? x : -Infinity,
+            minY: y > 0 ? y : -Infinity,
+            maxX: x + width < this.width ? x + width : Infinity,
+            maxY: y + height < this.height ? y + height : Infinity,
+            items: [],
+            children: null
+        };
+    }
+    
+    /**
+     * Child quadrant of a node containing a point
+     * Points outside the node (entities beyond the environment edge) go to the nearest quadrant
+     * @param {Object} node Split node
+     * @param {number} x Horizontal position
+     * @param {number} y Vertical position
+     * @returns {Object} Child node
+     */
+    static childFor(node, x, y) {
+        const right = x >= node.x + node.width / 2 ? 1 : 0;
+        const bottom = y >= node.y + node.height / 2 ? 2 : 0;
+        return node.children[right + bottom];
+    }
+    
+    /**
+     * Split a leaf into four quadrants and move its entities down
+     * @param {Object} node Leaf node to split
+     */
+    split(node) {
+        const halfWidth = node.width / 2;
+        const halfHeight = node.height / 2;
+        const depth = node.depth + 1;
+        
+        node.children = [
+            this.createNode(node.x, node.y, halfWidth, halfHeight, depth),
+            this.createNode(node.x + halfWidth, node.y, halfWidth, halfHeight, depth),
+            this.createNode(node.x, node.y + halfHeight, halfWidth, halfHeight, depth),
+            this.createNode(node.x + halfWidth, node.y + halfHeight, halfWidth, halfHeight, depth)
+        ];
+        
+        const items = node.items;
+        node.items = [];
+        items.forEach(entity => this.insertInto(QuadTree.childFor(node, entity.x, entity.y), entity));
+    }
+    
+    /**
+     * Add an entity to the leaf of a subtree containing its position
+     * @param {Object} node Subtree root
+     * @param {Entity} entity Entity to add
+     */
+    insertInto(node, entity) {
+        while (node.children) {
+            node = QuadTree.childFor(node, entity.x, entity.y);
+        }
+        
+        node.items.push(entity);
+        this.locations.set(entity, node);
+        
+        if (node.items.length > this.maxItems && node.depth < this.maxDepth) {
+            this.split(node);
+        }
+    }
+    
+    /**
+     * Add an entity at its current position
+     * @param {Entity} entity Entity to add
+     */
+    insert(entity) {
+        this.insertInto(this.root, entity);
+    }
+    
+    /**
+     * Remove an entity
+     * Emptied quadrants are kept; rebuild() compacts the tree
+     * @param {Entity} entity Entity to remove
+     * @returns {boolean} True if the entity was indexed
+     */
+    remove(entity) {
+        const node = this.locations.get(entity);
+        if (!node) return false;
+        
+        const items = node.items;
+        const position = items.indexOf(entity);
+        items[position] = items[items.length - 1];
+        items.pop();
+        
+        this.locations.delete(entity);
+        return true;
+    }
+    
+    /**
+     * Reindex an entity after it moved, leaving it in place while it stays inside its leaf
+     * @param {Entity} entity Entity that moved
+     */
+    update(entity) {
+        const node = this.locations.get(entity);
+        if (node && QuadTree.distanceSqToNode(node, entity.x, entity.y) === 0) return;
+        
+        super.update(entity);
+    }
+    
+    /**
+     * Squared distance from a point to the search bounds of a node
+     * @param {Object} node Tree node
+     * @param {number} x Horizontal position
+     * @param {number} y Vertical position
+     * @returns {number} Squared distance (0 inside the node)
+     */
+    static distanceSqToNode(node, x, y) {
+        const dx = Math.max(node.minX - x, 0, x - node.maxX);
+        const dy = Math.max(node.minY - y, 0, y - node.maxY);
+        return dx * dx + dy * dy;
+    }
+    
+    /**
+     * Find the entities whose centres lie within a radius of a point
+     * @param {number} x Query x
+     * @param {number} y Query y
+     * @param {number} radius Query radius
+     * @param {Array} results Array to append the matches to
+     * @returns {Array} Matching entities, in no particular order
+     */
+    queryRadius(x, y, radius, results = []) {
+        const radiusSq = radius * radius;
+        const stack = [this.root];
+        
+        while (stack.length > 0) {
+            const node = stack.pop();
+            
+            if (node.children) {
+                for (let i = 0; i < 4; i++) {
+                    if (QuadTree.distanceSqToNode(node.children[i], x, y) <= radiusSq) {
+                        stack.push(node.children[i]);
+                    }
+                }
+                continue;
+            }
+            
+            const items = node.items;
+            for (let i = 0; i < items.length; i++) {
+                const dx = items[i].x - x;
+                const dy = items[i].y - y;
+                if (dx * dx + dy * dy <= radiusSq) {
+                    results.push(items[i]);
+                }
+            }
+        }
+        
+        return results;
+    }
+    
+    /**
+     * Find the entity closest to a point, visiting nearer quadrants first
+     * @param {number} x Query x
+     * @param {number} y Query y
+     * @param {number} maxDistance Largest distance to search (Infinity for the whole tree)
+     * @param {Function} filter Optional predicate an entity must pass
+     * @returns {Entity|null} Closest entity (the lowest id on ties), or null if none is in range
+     */
+    nearest(x, y, maxDistance = Infinity, filter = null) {
+        let best = null;
+        let bestDistSq = maxDistance * maxDistance;
+        
+        const search = node => {
+            if (QuadTree.distanceSqToNode(node, x, y) > bestDistSq) return;
+            
+            if (node.children) {
+                // Descend into the quadrant holding the point first to tighten the bound early,
+                // then its side neighbours and finally the opposite corner
+                const first = node.children.indexOf(QuadTree.childFor(node, x, y));
+                for (let i = 0; i < 4; i++) {
+                    search(node.children[first ^ i]);
+                }
+                return;
+            }
+            
+            const items = node.items;
+            for (let i = 0; i < items.length; i++) {
+                const entity = items[i];
+                const dx = entity.x - x;
+                const dy = entity.y - y;
+                const distSq = dx * dx + dy * dy;
+                
+                if (SpatialIndex.isCloser(distSq, entity, bestDistSq, best) && (!filter || filter(entity))) {
+                    bestDistSq = distSq;
+                    best = entity;
+                }
+            }
+        };
+        
+        search(this.root);
+        return best;
+    }
+}
+
+// Entities per node before it splits, and the deepest level a node may split to
+QuadTree.DEFAULT_MAX_ITEMS = 16;
+QuadTree.DEFAULT_MAX_DEPTH = 8;
+
+SpatialIndex.register('quadtree', QuadTree);
\ No newline at end of file
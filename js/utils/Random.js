@@ -0,0 +1,159 @@
+/**
+ * Random class
+ * Seedable pseudo-random number generator (mulberry32) for reproducible runs
+ */
+class Random {
+    /**
+     * Initialize the generator
+     * @param {number|string} seed Seed value (strings are hashed)
+     */
+    constructor(seed = Random.randomSeed()) {
+        this.seed = Random.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+    
+    /**
+     * Next random number
+     * @returns {number} Uniform value in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    /**
+     * Random number within a range
+     * @param {number} min Lower bound (inclusive)
+     * @param {number} max Upper bound (exclusive)
+     * @returns {number} Uniform value in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+    
+    /**
+     * Random integer below a bound
+     * @param {number} max Upper bound (exclusive)
+     * @returns {number} Integer in [0, max)
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+    
+    /**
+     * Random true/false with a given probability
+     * @param {number} probability Chance of returning true (0-1)
+     * @returns {boolean} Outcome
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+    
+    /**
+     * Random element of an array
+     * @param {Array} array Array to pick from
+     * @returns {*} Selected element
+     */
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+    
+    /**
+     * Normally distributed random number (Box-Muller transform)
+     * @param {number} mean Mean of the distribution
+     * @param {number} stdDev Standard deviation
+     * @returns {number} Random value
+     */
+    gaussian(mean = 0, stdDev = 1) {
+        const u = 1 - this.next(); // Avoid log(0)
+        const v = this.next();
+        return mean + stdDev * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+    
+    /**
+     * Create an independent generator derived from this seed
+     * @param {string} name Stream name
+     * @returns {Random} New generator
+     */
+    fork(name) {
+        return new Random(`${this.seed}:${name}`);
+    }
+    
+    /**
+     * Get the internal state (for saving)
+     * @returns {number} Generator state
+     */
+    getState() {
+        return this.state;
+    }
+    
+    /**
+     * Restore a previously saved internal state
+     * @param {number} state Generator state
+     */
+    setState(state) {
+        this.state = state >>> 0;
+    }
+    
+    /**
+     * Create one independent generator per stream name
+     * @param {number|string} seed Master seed
+     * @param {Array} names Stream names
+     * @returns {Object} Generators keyed by stream name
+     */
+    static createStreams(seed, names) {
+        const master = new Random(seed);
+        const streams = {};
+        
+        names.forEach(name => {
+            streams[name] = master.fork(name);
+        });
+        
+        return streams;
+    }
+    
+    /**
+     * Convert a number or string seed to an unsigned 32-bit integer
+     * @param {number|string} seed Seed value
+     * @returns {number} Normalized seed
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return seed >>> 0;
+        }
+        
+        return Random.hashString(String(seed));
+    }
+    
+    /**
+     * Hash a string to an unsigned 32-bit integer (FNV-1a with a final mix)
+     * @param {string} str String to hash
+     * @returns {number} Hash value
+     */
+    static hashString(str) {
+        let hash = 0x811C9DC5;
+        
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        
+        // Final avalanche so similar names give unrelated streams
+        hash ^= hash >>> 16;
+        hash = Math.imul(hash, 0x85EBCA6B);
+        hash ^= hash >>> 13;
+        return hash >>> 0;
+    }
+    
+    /**
+     * Pick a fresh seed when none was configured
+     * @returns {number} Random seed
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,206 @@
+/**
+ * Spatial Grid class
+ * Uniform grid of buckets; best when entities are spread fairly evenly and queries
+ * have a radius of a few cells
+ */
+class SpatialGrid extends SpatialIndex {
+    /**
+     * Initialize an empty grid covering the environment
+     * @param {number} width Environment width
+     * @param {number} height Environment height
+     * @param {Object} options Configuration options
+     * @param {number} options.cellSize Side length of a grid cell
+     */
+    constructor(width, height, options = {}) {
+        super(width, height);
+        
+        this.cellSize = options.cellSize || SpatialGrid.DEFAULT_CELL_SIZE;
+        if (!(this.cellSize > 0)) {
+            throw new Error(`Invalid grid cell size: ${this.cellSize}`);
+        }
+        
+        this.clear();
+    }
+    
+    /**
+     * Remove every entity, sizing the cells to the current environment
+     */
+    clear() {
+        const columns = Math.max(1, Math.ceil(this.width / this.cellSize));
+        const rows = Math.max(1, Math.ceil(this.height / this.cellSize));
+        
+        // Keep the cell arrays between rebuilds unless the environment size changed
+        if (!this.cells || columns !== this.columns || rows !== this.rows) {
+            this.columns = columns;
+            this.rows = rows;
+            this.cells = Array(columns * rows).fill().map(() => []);
+        } else {
+            for (let i = 0; i < this.cells.length; i++) {
+                if (this.cells[i].length > 0) {
+                    this.cells[i].length = 0;
+                }
+            }
+        }
+        
+        this.locations.clear();
+    }
+    
+    /**
+     * Column of an x coordinate, clamped to the grid
+     * @param {number} x Horizontal position
+     * @returns {number} Column index
+     */
+    column(x) {
+        return Math.max(0, Math.min(this.columns - 1, Math.floor(x / this.cellSize)));
+    }
+    
+    /**
+     * Row of a y coordinate, clamped to the grid
+     * @param {number} y Vertical position
+     * @returns {number} Row index
+     */
+    row(y) {
+        return Math.max(0, Math.min(this.rows - 1, Math.floor(y / this.cellSize)));
+    }
+    
+    /**
+     * Index of the cell containing a point
+     * @param {number} x Horizontal position
+     * @param {number} y Vertical position
+     * @returns {number} Cell index
+     */
+    cellIndex(x, y) {
+        return this.row(y) * this.columns + this.column(x);
+    }
+    
+    /**
+     * Add an entity at its current position
+     * @param {Entity} entity Entity to add
+     */
+    insert(entity) {
+        const index = this.cellIndex(entity.x, entity.y);
+        this.cells[index].push(entity);
+        this.locations.set(entity, index);
+    }
+    
+    /**
+     * Remove an entity
+     * @param {Entity} entity Entity to remove
+     * @returns {boolean} True if the entity was indexed
+     */
+    remove(entity) {
+        const index = this.locations.get(entity);
+        if (index === undefined) return false;
+        
+        // Swap-remove; order within a cell does not matter
+        const cell = this.cells[index];
+        const position = cell.indexOf(entity);
+        cell[position] = cell[cell.length - 1];
+        cell.pop();
+        
+        this.locations.delete(entity);
+        return true;
+    }
+    
+    /**
+     * Reindex an entity after it moved, touching the cells only when it changed cell
+     * @param {Entity} entity Entity that moved
+     */
+    update(entity) {
+        if (this.locations.get(entity) === this.cellIndex(entity.x, entity.y)) return;
+        
+        super.update(entity);
+    }
+    
+    /**
+     * Find the entities whose centres lie within a radius of a point
+     * @param {number} x Query x
+     * @param {number} y Query y
+     * @param {number} radius Query radius
+     * @param {Array} results Array to append the matches to
+     * @returns {Array} Matching entities, in no particular order
+     */
+    queryRadius(x, y, radius, results = []) {
+        const radiusSq = radius * radius;
+        const minColumn = this.column(x - radius);
+        const maxColumn = this.column(x + radius);
+        const maxRow = this.row(y + radius);
+        
+        for (let row = this.row(y - radius); row <= maxRow; row++) {
+            for (let column = minColumn; column <= maxColumn; column++) {
+                const cell = this.cells[row * this.columns + column];
+                
+                for (let i = 0; i < cell.length; i++) {
+                    const dx = cell[i].x - x;
+                    const dy = cell[i].y - y;
+                    if (dx * dx + dy * dy <= radiusSq) {
+                        results.push(cell[i]);
+                    }
+                }
+            }
+        }
+        
+        return results;
+    }
+    
+    /**
+     * Find the entity closest to a point, searching rings of cells outwards
+     * @param {number} x Query x
+     * @param {number} y Query y
+     * @param {number} maxDistance Largest distance to search (Infinity for the whole grid)
+     * @param {Function} filter Optional predicate an entity must pass
+     * @returns {Entity|null} Closest entity (the lowest id on ties), or null if none is in range
+     */
+    nearest(x, y, maxDistance = Infinity, filter = null) {
+        const centerColumn = this.column(x);
+        const centerRow = this.row(y);
+        const maxRing = Math.max(this.columns, this.rows);
+        let best = null;
+        let bestDistSq = maxDistance * maxDistance;
+        
+        // Check every cell on the ring at the given Chebyshev distance from the centre cell
+        const searchCell = (column, row) => {
+            if (column < 0 || column >= this.columns || row < 0 || row >= this.rows) return;
+            
+            const cell = this.cells[row * this.columns + column];
+            for (let i = 0; i < cell.length; i++) {
+                const entity = cell[i];
+                const dx = entity.x - x;
+                const dy = entity.y - y;
+                const distSq = dx * dx + dy * dy;
+                
+                if (SpatialIndex.isCloser(distSq, entity, bestDistSq, best) && (!filter || filter(entity))) {
+                    bestDistSq = distSq;
+                    best = entity;
+                }
+            }
+        };
+        
+        for (let ring = 0; ring <= maxRing; ring++) {
+            // Cells on this ring are at least (ring - 1) cells away from the point
+            const ringDistance = Math.max(0, ring - 1) * this.cellSize;
+            if (ringDistance * ringDistance > bestDistSq) break;
+            
+            if (ring === 0) {
+                searchCell(centerColumn, centerRow);
+                continue;
+            }
+            
+            for (let offset = -ring; offset <= ring; offset++) {
+                searchCell(centerColumn + offset, centerRow - ring);
+                searchCell(centerColumn + offset, centerRow + ring);
+            }
+            for (let offset = -ring + 1; offset < ring; offset++) {
+                searchCell(centerColumn - ring, centerRow + offset);
+                searchCell(centerColumn + ring, centerRow + offset);
+            }
+        }
+        
+        return best;
+    }
+}
+
+// Default side length of a cell; queries of a sensor's range (150-200) then cover 3-5 cells per axis
+SpatialGrid.DEFAULT_CELL_SIZE = 100;
+
+SpatialIndex.register('grid', SpatialGrid);
\ No newline at end of file
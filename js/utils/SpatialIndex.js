@@ -0,0 +1,156 @@
+/**
+ * Spatial Index base class
+ * Shared interface of the structures answering neighbour queries over entity positions
+ * (SpatialGrid, QuadTree), and a registry to create them by name
+ */
+class SpatialIndex {
+    /**
+     * Initialize an empty index covering the environment
+     * @param {number} width Environment width
+     * @param {number} height Environment height
+     */
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        
+        // Where each indexed entity is stored (a cell or tree node, depending on the subclass)
+        this.locations = new Map();
+    }
+    
+    /**
+     * Number of indexed entities
+     * @returns {number} Entity count
+     */
+    get size() {
+        return this.locations.size;
+    }
+    
+    /**
+     * Check whether an entity is indexed
+     * @param {Entity} entity Entity to look up
+     * @returns {boolean} True if the entity is in the index
+     */
+    has(entity) {
+        return this.locations.has(entity);
+    }
+    
+    /**
+     * Remove every entity and rebuild from a list
+     * @param {Array} entities Entities to index
+     */
+    rebuild(entities) {
+        this.clear();
+        entities.forEach(entity => this.insert(entity));
+    }
+    
+    /**
+     * Reindex an entity after it moved (inserting it if it is not indexed yet)
+     * @param {Entity} entity Entity that moved
+     */
+    update(entity) {
+        this.remove(entity);
+        this.insert(entity);
+    }
+    
+    /**
+     * Change the covered area, keeping the indexed entities
+     * @param {number} width New environment width
+     * @param {number} height New environment height
+     */
+    resize(width, height) {
+        const entities = [...this.locations.keys()];
+        this.width = width;
+        this.height = height;
+        this.rebuild(entities);
+    }
+    
+    /**
+     * Remove every entity
+     */
+    clear() {
+        throw new Error(`${this.constructor.name} does not implement clear()`);
+    }
+    
+    /**
+     * Add an entity at its current position
+     * @param {Entity} entity Entity to add
+     */
+    insert(entity) {
+        throw new Error(`${this.constructor.name} does not implement insert()`);
+    }
+    
+    /**
+     * Remove an entity
+     * @param {Entity} entity Entity to remove
+     * @returns {boolean} True if the entity was indexed
+     */
+    remove(entity) {
+        throw new Error(`${this.constructor.name} does not implement remove()`);
+    }
+    
+    /**
+     * Find the entities whose centres lie within a radius of a point
+     * @param {number} x Query x
+     * @param {number} y Query y
+     * @param {number} radius Query radius
+     * @param {Array} results Array to append the matches to
+     * @returns {Array} Matching entities, in no particular order
+     */
+    queryRadius(x, y, radius, results = []) {
+        throw new Error(`${this.constructor.name} does not implement queryRadius()`);
+    }
+    
+    /**
+     * Find the entity closest to a point
+     * @param {number} x Query x
+     * @param {number} y Query y
+     * @param {number} maxDistance Largest distance to search (Infinity for the whole index)
+     * @param {Function} filter Optional predicate an entity must pass
+     * @returns {Entity|null} Closest entity (the lowest id on ties), or null if none is in range
+     */
+    nearest(x, y, maxDistance = Infinity, filter = null) {
+        throw new Error(`${this.constructor.name} does not implement nearest()`);
+    }
+    
+    /**
+     * Compare a candidate with the closest entity found so far
+     * Ties go to the lower id so results do not depend on the index's internal order
+     * @param {number} distSq Squared distance of the candidate
+     * @param {Entity} entity Candidate entity
+     * @param {number} bestDistSq Squared distance of the closest entity so far (or the search limit)
+     * @param {Entity} best Closest entity so far (or null)
+     * @returns {boolean} True if the candidate is closer
+     */
+    static isCloser(distSq, entity, bestDistSq, best) {
+        return distSq < bestDistSq || (distSq === bestDistSq && (best === null || entity.id < best.id));
+    }
+    
+    /**
+     * Register an index implementation under a type name
+     * @param {string} type Type name used in configuration (e.g. 'grid')
+     * @param {Function} IndexClass SpatialIndex subclass taking (width, height, options)
+     */
+    static register(type, IndexClass) {
+        SpatialIndex.TYPES[type] = IndexClass;
+    }
+    
+    /**
+     * Create an index by type name
+     * @param {string} type Registered type name
+     * @param {number} width Environment width
+     * @param {number} height Environment height
+     * @param {Object} options Options passed to the implementation
+     * @returns {SpatialIndex} New empty index
+     */
+    static create(type, width, height, options = {}) {
+        const IndexClass = SpatialIndex.TYPES[type];
+        if (!IndexClass) {
+            throw new Error(`Unknown spatial index type: ${type} (registered: ${Object.keys(SpatialIndex.TYPES).join(', ')})`);
+        }
+        
+        return new IndexClass(width, height, options);
+    }
+}
+
+// Index implementations by type name (see SpatialIndex.register)
+SpatialIndex.TYPES = {};
\ No newline at end of file
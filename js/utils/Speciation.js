@@ -0,0 +1,197 @@
+/**
+ * Speciation class
+ * Clusters the brains of one species into niches by genome distance (the brains' difference())
+ * so that fitness sharing can protect new variants from being outbred by a single dominant lineage
+ */
+class Speciation {
+    /**
+     * Initialize an empty set of niches
+     * @param {Object} options Configuration options
+     * @param {number} options.threshold Starting genome distance below which brains share a niche
+     * @param {number} options.targetNiches Number of niches the threshold adapts towards
+     * @param {number} options.thresholdAdjustment Fraction the threshold moves by after each census
+     * @param {number} options.minThreshold Smallest threshold allowed
+     * @param {Object} state Saved state to resume from (see toJSON), with representatives already restored as brains
+     */
+    constructor(options = {}, state = null) {
+        this.targetNiches = options.targetNiches || 4;
+        this.thresholdAdjustment = options.thresholdAdjustment !== undefined ? options.thresholdAdjustment : 0.1;
+        this.minThreshold = options.minThreshold !== undefined ? options.minThreshold : 0.01;
+        this.threshold = state ? state.threshold : (options.threshold !== undefined ? options.threshold : 0.25);
+        
+        // Living niches ({ id, representative, size, bornGeneration, peakSize, bestFitness })
+        this.niches = state ? state.niches : [];
+        
+        // Most recent extinct niches, oldest first ({ id, bornGeneration, extinctGeneration, peakSize })
+        this.extinct = state ? state.extinct : [];
+        
+        this.nextNicheId = state ? state.nextNicheId : 0;
+        this.births = state ? state.births : 0;
+        this.extinctions = state ? state.extinctions : 0;
+        
+        // Niche of each individual in the latest census
+        this.membership = new Map();
+    }
+    
+    /**
+     * Sort a population into niches, founding niches for brains unlike any existing one
+     * and retiring niches left without members
+     * @param {Array} population Individuals with `brain` and `fitness` properties
+     * @param {number} generation Current generation, recorded on niche births and extinctions
+     * @returns {Array} Living niches after the census
+     */
+    speciate(population, generation) {
+        const members = new Map();
+        this.niches.forEach(niche => members.set(niche, []));
+        this.membership.clear();
+        
+        // Join the first niche whose representative is close enough
+        population.forEach(individual => {
+            let niche = this.niches.find(candidate => individual.brain.difference(candidate.representative) < this.threshold);
+            
+            if (!niche) {
+                niche = {
+                    id: this.nextNicheId++,
+                    representative: individual.brain,
+                    size: 0,
+                    bornGeneration: generation,
+                    peakSize: 0,
+                    bestFitness: 0
+                };
+                this.niches.push(niche);
+                members.set(niche, []);
+                this.births++;
+            }
+            
+            members.get(niche).push(individual);
+            this.membership.set(individual, niche);
+        });
+        
+        // Retire empty niches
+        this.niches = this.niches.filter(niche => {
+            if (members.get(niche).length > 0) return true;
+            
+            this.extinct.push({
+                id: niche.id,
+                bornGeneration: niche.bornGeneration,
+                extinctGeneration: generation,
+                peakSize: niche.peakSize
+            });
+            this.extinctions++;
+            return false;
+        });
+        if (this.extinct.length > Speciation.EXTINCT_HISTORY_SIZE) {
+            this.extinct.splice(0, this.extinct.length - Speciation.EXTINCT_HISTORY_SIZE);
+        }
+        
+        // The member closest to the old representative stands for the niche next time, so niches drift smoothly
+        this.niches.forEach(niche => {
+            const nicheMembers = members.get(niche);
+            let closest = nicheMembers[0];
+            let closestDistance = Infinity;
+            
+            nicheMembers.forEach(individual => {
+                const distance = individual.brain.difference(niche.representative);
+                if (distance < closestDistance) {
+                    closestDistance = distance;
+                    closest = individual;
+                }
+            });
+            
+            niche.representative = closest.brain;
+            niche.size = nicheMembers.length;
+            niche.peakSize = Math.max(niche.peakSize, niche.size);
+            niche.bestFitness = Math.max(...nicheMembers.map(individual => individual.fitness));
+        });
+        
+        this.adjustThreshold();
+        return this.niches;
+    }
+    
+    /**
+     * Move the threshold towards the target number of niches
+     * A relative step works whatever the scale of the brains' distance measure
+     */
+    adjustThreshold() {
+        if (this.niches.length < this.targetNiches) {
+            this.threshold = Math.max(this.minThreshold, this.threshold * (1 - this.thresholdAdjustment));
+        } else if (this.niches.length > this.targetNiches) {
+            this.threshold *= 1 + this.thresholdAdjustment;
+        }
+    }
+    
+    /**
+     * Niche an individual was placed in by the latest census
+     * @param {Object} individual Individual from the census population
+     * @returns {Object|null} Niche, or null if the individual was not counted
+     */
+    nicheOf(individual) {
+        return this.membership.get(individual) || null;
+    }
+    
+    /**
+     * Apply fitness sharing: each individual's fitness is divided by the size of its niche,
+     * so a crowded niche competes for selection as a whole instead of crowding out the others
+     * @param {Array} population Individuals from the latest census
+     * @returns {Array} Stand-ins for the genetic algorithm ({ id, brain, genome, fitness, individual })
+     */
+    shareFitness(population) {
+        return population.map(individual => {
+            const niche = this.nicheOf(individual);
+            return {
+                id: individual.id,
+                brain: individual.brain,
+                genome: individual.genome,
+                fitness: niche ? individual.fitness / niche.size : individual.fitness,
+                individual
+            };
+        });
+    }
+    
+    /**
+     * Summarize the niches for statistics
+     * @returns {Object} Niche count, sizes (largest first), threshold and birth/extinction totals
+     */
+    getStats() {
+        return {
+            count: this.niches.length,
+            sizes: this.niches.map(niche => niche.size).sort((a, b) => b - a),
+            threshold: this.threshold,
+            births: this.births,
+            extinctions: this.extinctions
+        };
+    }
+    
+    /**
+     * Convert the niches to a plain JSON-friendly object
+     * @returns {Object} Speciation state
+     */
+    toJSON() {
+        return {
+            threshold: this.threshold,
+            nextNicheId: this.nextNicheId,
+            births: this.births,
+            extinctions: this.extinctions,
+            niches: this.niches.map(niche => ({ ...niche, representative: niche.representative.toJSON() })),
+            extinct: this.extinct.map(niche => ({ ...niche }))
+        };
+    }
+    
+    /**
+     * Recreate speciation state from its JSON form
+     * @param {Object} json Speciation state from toJSON()
+     * @param {Object} options Configuration options (see constructor)
+     * @param {Function} brainFromJSON Function restoring a representative brain from its JSON
+     * @returns {Speciation} Restored speciation
+     */
+    static fromJSON(json, options, brainFromJSON) {
+        return new Speciation(options, {
+            ...json,
+            niches: json.niches.map(niche => ({ ...niche, representative: brainFromJSON(niche.representative) })),
+            extinct: json.extinct.map(niche => ({ ...niche }))
+        });
+    }
+}
+
+// Number of extinct niches remembered
+Speciation.EXTINCT_HISTORY_SIZE = 50;
\ No newline at end of file
@@ -5,10 +5,10 @@
 class TestHarness {
     /**
      * Initialize the test harness
-     * @param {Simulation} simulation Reference to the simulation instance
+     * @param {Simulation} simulation Reference to the simulation instance (can be attached later)
      */
-    constructor(simulation) {
-        this.simulation = simulation;
+    constructor(simulation = null) {
+        this.simulation = null;
         this.testResults = {};
         this.testQueue = [];
         this.runningTest = false;
@@ -19,10 +19,89 @@ class TestHarness {
             renderTimes: []
         };
         
+        // Timings of named code sections (see startMeasurement)
+        this.measurements = {};
+        
+        if (simulation) {
+            this.attach(simulation);
+        }
+    }
+    
+    /**
+     * Attach the harness to a simulation
+     * @param {Simulation} simulation Reference to the simulation instance
+     */
+    attach(simulation) {
+        this.simulation = simulation;
+        
         // Register with the simulation to track metrics
         this.simulation.addEventListener('update', this.collectMetrics.bind(this));
     }
     
+    /**
+     * Start timing a named section of code
+     * @param {string} name Measurement name
+     */
+    startMeasurement(name) {
+        if (!this.measurements[name]) {
+            this.measurements[name] = { start: 0, duration: 0 };
+        }
+        this.measurements[name].start = performance.now();
+    }
+    
+    /**
+     * Stop timing a named section of code
+     * @param {string} name Measurement name
+     * @returns {number} Duration in ms
+     */
+    endMeasurement(name) {
+        const measurement = this.measurements[name];
+        if (!measurement) return 0;
+        
+        measurement.duration = performance.now() - measurement.start;
+        return measurement.duration;
+    }
+    
+    /**
+     * Duration of the last completed measurement
+     * @param {string} name Measurement name
+     * @returns {number} Duration in ms
+     */
+    getMeasurement(name) {
+        return this.measurements[name] ? this.measurements[name].duration : 0;
+    }
+    
+    /**
+     * Current frames per second reported by the simulation
+     * @returns {number} FPS
+     */
+    getFPS() {
+        return this.simulation ? this.simulation.fps : 0;
+    }
+    
+    /**
+     * Measure the average feed-forward time of a single network
+     * @param {NeuralNetwork} network Network to test
+     * @param {number} iterations Number of feed-forward passes
+     * @returns {Object} Average time and throughput
+     */
+    testNeuralNetworkPerformance(network, iterations = 1000) {
+        const input = Array(network.layers[0]).fill().map(() => Math.random());
+        
+        const start = performance.now();
+        for (let i = 0; i < iterations; i++) {
+            network.feedForward(input);
+        }
+        const avgTime = (performance.now() - start) / iterations;
+        
+        this.testResults.standardNetworkPerformance = {
+            avgProcessingTimeMs: avgTime,
+            iterationsPerSecond: 1000 / avgTime
+        };
+        
+        return this.testResults.standardNetworkPerformance;
+    }
+    
     /**
      * Collect performance metrics during simulation runs
      * @param {Object} data Event data from simulation
@@ -39,9 +118,9 @@ class TestHarness {
             this.perfMetrics.memoryUsage.push(window.performance.memory.usedJSHeapSize / (1024 * 1024));
         }
         
-        // Record update and render times
-        this.perfMetrics.updateTimes.push(data.updateTime || 0);
-        this.perfMetrics.renderTimes.push(data.renderTime || 0);
+        // Record update and render times (falling back to the harness's own measurements)
+        this.perfMetrics.updateTimes.push(data.updateTime || this.getMeasurement('simulationUpdate'));
+        this.perfMetrics.renderTimes.push(data.renderTime || this.getMeasurement('simulationRender'));
     }
     
     /**
@@ -57,7 +136,8 @@ class TestHarness {
             this.testQueue = [
                 this.testBasePerformance.bind(this),
                 this.testHighPopulationPerformance.bind(this),
-                this.testNeuralNetworkEfficiency.bind(this)
+                this.testNeuralNetworkEfficiency.bind(this),
+                this.testSpatialIndexEfficiency.bind(this)
             ];
             
             this.runNextTest().then(() => {
@@ -134,6 +214,7 @@ class TestHarness {
     
     /**
      * Test neural network computational efficiency
+     * Each network is also timed with the previous nested-array implementation for comparison
      */
     testNeuralNetworkEfficiency() {
         console.log("Testing neural network efficiency...");
@@ -142,6 +223,7 @@ class TestHarness {
             const testNets = [];
             const iterations = 1000;
             const inputSize = 10;
+            const populationSize = 100;
             
             // Create a few test networks with different complexities
             const architectures = [
@@ -151,10 +233,13 @@ class TestHarness {
             ];
             
             // Create test networks
+            const createNetwork = arch => new NeuralNetwork({
+                inputSize: arch[0],
+                hiddenLayers: arch.slice(1, -1),
+                outputSize: arch[arch.length - 1]
+            });
             architectures.forEach(arch => {
-                testNets.push(new NeuralNetwork({
-                    layers: arch
-                }));
+                testNets.push(createNetwork(arch));
             });
             
             // Generate random test inputs
@@ -165,23 +250,49 @@ class TestHarness {
             // Test performance for each network
             const results = {};
             
-            architectures.forEach((arch, idx) => {
-                const net = testNets[idx];
-                const name = `${arch.length}-layer (${arch.join('-')})`;
+            // Average time per pass of a feed-forward function over all test inputs
+            const timeFeedForward = feedForward => {
+                // Warm up so both implementations are measured after JIT compilation
+                testInputs.forEach(input => feedForward(input));
                 
                 const start = performance.now();
                 
                 // Run the network many times
                 testInputs.forEach(input => {
-                    net.feedForward(input);
+                    feedForward(input);
                 });
                 
-                const end = performance.now();
-                const avgTime = (end - start) / iterations;
+                return (performance.now() - start) / iterations;
+            };
+            
+            architectures.forEach((arch, idx) => {
+                const net = testNets[idx];
+                const name = `${arch.length}-layer (${arch.join('-')})`;
+                const legacyFeedForward = TestHarness.createLegacyFeedForward(net);
+                
+                const avgTime = timeFeedForward(input => net.feedForward(input));
+                const legacyAvgTime = timeFeedForward(legacyFeedForward);
+                
+                // Evaluate a whole population one network at a time, then as a single batch
+                const population = Array(populationSize).fill().map(() => createNetwork(arch));
+                const batch = new NeuralNetworkBatch();
+                batch.setNetworks(population);
+                
+                const populationTime = timeFeedForward(input => {
+                    population.forEach(member => member.feedForward(input));
+                });
+                const batchTime = timeFeedForward(input => {
+                    population.forEach((member, slot) => batch.inputView(slot).set(input));
+                    batch.evaluate();
+                });
                 
                 results[name] = {
                     avgProcessingTimeMs: avgTime,
-                    iterationsPerSecond: 1000 / avgTime
+                    iterationsPerSecond: 1000 / avgTime,
+                    legacyProcessingTimeMs: legacyAvgTime,
+                    speedup: legacyAvgTime / avgTime,
+                    populationProcessingTimeMs: populationTime,
+                    batchProcessingTimeMs: batchTime
                 };
             });
             
@@ -191,6 +302,139 @@ class TestHarness {
         });
     }
     
+    /**
+     * Build a feed-forward function in the style of the original NeuralNetwork, as a speed baseline:
+     * nested weight arrays and a freshly allocated output array per layer on every pass
+     * @param {NeuralNetwork} network Network providing the weights and activations
+     * @returns {Function} Function mapping an input array to the output array
+     */
+    static createLegacyFeedForward(network) {
+        const { weights, biases } = network.toJSON();
+        
+        return inputs => {
+            let outputs = inputs;
+            
+            for (let i = 0; i < weights.length; i++) {
+                const currentLayerSize = weights[i].length;
+                const prevLayerSize = weights[i][0].length;
+                const layerOutputs = new Array(currentLayerSize).fill(0);
+                
+                for (let j = 0; j < currentLayerSize; j++) {
+                    let sum = biases[i][j];
+                    const neuronWeights = weights[i][j];
+                    
+                    // Unrolled loop, as in the original implementation
+                    for (let k = 0; k < prevLayerSize; k += 4) {
+                        if (k + 3 < prevLayerSize) {
+                            sum += outputs[k] * neuronWeights[k] +
+                                   outputs[k+1] * neuronWeights[k+1] +
+                                   outputs[k+2] * neuronWeights[k+2] +
+                                   outputs[k+3] * neuronWeights[k+3];
+                        } else {
+                            for (let m = k; m < prevLayerSize; m++) {
+                                sum += outputs[m] * neuronWeights[m];
+                            }
+                        }
+                    }
+                    
+                    layerOutputs[j] = sum;
+                }
+                
+                outputs = network.activateLayer(i, layerOutputs);
+            }
+            
+            return outputs;
+        };
+    }
+    
+    /**
+     * Test neighbour query efficiency of the spatial indexes against scanning every entity
+     * Each pass does what a tick does: index the entities, then have every entity find its
+     * neighbours within sensor range and its nearest neighbour
+     */
+    testSpatialIndexEfficiency() {
+        console.log("Testing spatial index efficiency...");
+        return new Promise(resolve => {
+            const iterations = 5;
+            const range = 150;
+            const entityCounts = [100, 500, 2000];
+            
+            // Spread the entities over the current environment
+            const environment = this.simulation ? this.simulation.environment : { width: 1000, height: 1000 };
+            const width = environment.width || 1000;
+            const height = environment.height || 1000;
+            
+            const results = {};
+            
+            // Average time per pass of a tick-like workload
+            const timePasses = pass => {
+                // Warm up so every approach is measured after JIT compilation
+                for (let i = 0; i < iterations; i++) {
+                    pass();
+                }
+                
+                const start = performance.now();
+                for (let i = 0; i < iterations; i++) {
+                    pass();
+                }
+                return (performance.now() - start) / iterations;
+            };
+            
+            entityCounts.forEach(count => {
+                const entities = Array(count).fill().map((_, i) => ({
+                    id: i,
+                    x: Math.random() * width,
+                    y: Math.random() * height
+                }));
+                
+                // Baseline: check every pair, as before the indexes existed
+                const bruteForceTime = timePasses(() => {
+                    const rangeSq = range * range;
+                    entities.forEach(entity => {
+                        let inRange = 0;
+                        let nearestDistSq = Infinity;
+                        
+                        entities.forEach(other => {
+                            if (other === entity) return;
+                            
+                            const dx = other.x - entity.x;
+                            const dy = other.y - entity.y;
+                            const distSq = dx * dx + dy * dy;
+                            if (distSq <= rangeSq) inRange++;
+                            if (distSq < nearestDistSq) nearestDistSq = distSq;
+                        });
+                    });
+                });
+                
+                // The same workload through each registered index
+                const indexTimes = {};
+                Object.keys(SpatialIndex.TYPES).forEach(type => {
+                    const index = SpatialIndex.create(type, width, height);
+                    
+                    indexTimes[type] = timePasses(() => {
+                        index.rebuild(entities);
+                        entities.forEach(entity => {
+                            index.queryRadius(entity.x, entity.y, range);
+                            index.nearest(entity.x, entity.y, Infinity, other => other !== entity);
+                        });
+                    });
+                });
+                
+                results[`${count} entities (${width}x${height})`] = {
+                    bruteForceTimeMs: bruteForceTime,
+                    gridTimeMs: indexTimes.grid,
+                    quadtreeTimeMs: indexTimes.quadtree,
+                    gridSpeedup: bruteForceTime / indexTimes.grid,
+                    quadtreeSpeedup: bruteForceTime / indexTimes.quadtree
+                };
+            });
+            
+            this.testResults.spatialIndexPerformance = results;
+            console.log("Spatial index test completed", results);
+            resolve();
+        });
+    }
+    
     /**
      * Calculate summary performance metrics from collected data
      */
@@ -234,7 +478,7 @@ class TestHarness {
         }
         
         if (highPopFps && (baseFps - highPopFps) > 10) {
-            recommendations.push("Significant FPS drop with higher populations. Consider implementing level-of-detail rendering or improving spatial partitioning.");
+            recommendations.push("Significant FPS drop with higher populations. Consider implementing level-of-detail rendering or tuning the spatial index (grid cell size, or switching to the quadtree).");
         }
         
         // Check update times
@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+/**
+ * Headless command line runner
+ * Runs evolution under Node.js without a browser and writes the results to JSON
+ *
+ * Usage: node run.js --generations 500 --seed 42 --out results.json
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Browser scripts needed by the simulation, in load order
+const SIMULATION_SCRIPTS = [
+    'js/utils/Random.js',
+    'js/utils/Noise.js',
+    'js/utils/NeuralNetwork.js',
+    'js/utils/NeuralNetworkBatch.js',
+    'js/utils/InnovationTracker.js',
+    'js/utils/NEATGenome.js',
+    'js/utils/SpatialIndex.js',
+    'js/utils/SpatialGrid.js',
+    'js/utils/QuadTree.js',
+    'js/utils/GeneticAlgorithm.js',
+    'js/utils/Fitness.js',
+    'js/utils/Speciation.js',
+    'js/utils/Lineage.js',
+    'js/environment/Environment.js',
+    'js/environment/Resource.js',
+    'js/environment/Obstacle.js',
+    'js/entities/Entity.js',
+    'js/entities/BodyGenome.js',
+    'js/entities/Creature.js',
+    'js/entities/Plant.js',
+    'js/entities/Sensors.js',
+    'js/entities/Actuators.js',
+    'js/entities/Species.js',
+    'js/core/Config.js',
+    'js/core/Snapshot.js',
+    'js/core/Simulation.js',
+    'js/core/SimulationWorker.js',
+    'js/core/SimulationProxy.js',
+    'js/core/HeadlessRunner.js'
+];
+
+/**
+ * Load the simulation scripts into the global scope
+ * The scripts are plain browser scripts that share globals, so they are run
+ * in this context in the same order index.html loads them
+ */
+function loadSimulation() {
+    SIMULATION_SCRIPTS.forEach(script => {
+        const filename = path.join(__dirname, script);
+        vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+    });
+}
+
+/**
+ * Run a simulation in a worker thread, the Node.js counterpart of the browser's ?worker mode
+ * Call loadSimulation() first; the returned proxy forwards commands to the worker
+ * @param {Object} options Worker options
+ * @param {boolean} options.verbose Keep the worker's simulation logging
+ * @returns {SimulationProxy} Proxy for the worker's simulation (call terminate() when done)
+ */
+function createWorkerSimulation(options = {}) {
+    const { Worker } = require('worker_threads');
+    const worker = new Worker(path.join(__dirname, 'js/core/SimulationWorker.js'), {
+        workerData: { verbose: Boolean(options.verbose) }
+    });
+    
+    return new SimulationProxy(worker);
+}
+
+/**
+ * Parse a --fitness value: a registered function name, or weights like 'energy=1,prey=50'
+ * @param {string} value Argument value
+ * @returns {Object} Fitness configuration
+ */
+function parseFitness(value) {
+    if (!value.includes('=')) {
+        return { function: value };
+    }
+    
+    const weights = {};
+    value.split(',').forEach(term => {
+        const [name, weight] = term.split('=');
+        if (!name || !isFinite(parseFloat(weight))) {
+            throw new Error(`Invalid fitness weight: ${term}`);
+        }
+        weights[name] = parseFloat(weight);
+    });
+    return { function: 'weighted', weights };
+}
+
+/**
+ * Parse command line arguments
+ * @param {Array} argv Arguments (without node and script path)
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+    const options = {
+        generations: 100,
+        seed: null,
+        out: null,
+        resume: null,
+        save: null,
+        mode: null,
+        preset: null,
+        config: null,
+        fitness: null,
+        map: null,
+        best: 10,
+        verbose: false,
+        help: false
+    };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+            return argv[++i];
+        };
+        
+        switch (arg) {
+            case '--generations': options.generations = parseInt(next(), 10); break;
+            case '--seed': options.seed = next(); break;
+            case '--out': options.out = next(); break;
+            case '--resume': options.resume = next(); break;
+            case '--save': options.save = next(); break;
+            case '--mode': options.mode = next(); break;
+            case '--preset': options.preset = next(); break;
+            case '--config': options.config = next(); break;
+            case '--fitness': options.fitness = parseFitness(next()); break;
+            case '--map': options.map = next(); break;
+            case '--best': options.best = parseInt(next(), 10); break;
+            case '--verbose': options.verbose = true; break;
+            case '--help': options.help = true; break;
+            default: throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+    
+    // Numeric seeds replay the same run as the same number typed into the browser
+    if (options.seed !== null && /^\d+$/.test(options.seed)) {
+        options.seed = parseInt(options.seed, 10);
+    }
+    if (!Number.isInteger(options.generations) || options.generations < 1) {
+        throw new Error('--generations must be a positive integer');
+    }
+    
+    return options;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    
+    if (options.help) {
+        console.log('Usage: node run.js [--generations N] [--seed S] [--out FILE] [--mode generational|continuous]');
+        console.log('                   [--preset NAME] [--config FILE] [--fitness NAME|NAME=WEIGHT,...] [--map FILE]');
+        console.log('                   [--resume SNAPSHOT] [--save SNAPSHOT] [--best N] [--verbose]');
+        return;
+    }
+    
+    // The simulation logs every state change; keep the console readable unless asked
+    const log = console.log;
+    if (!options.verbose) {
+        console.log = () => {};
+    }
+    
+    loadSimulation();
+    
+    let simulation;
+    if (options.resume) {
+        // Continue a saved run (its own seed and mode apply)
+        simulation = new Simulation();
+        simulation.deserialize(fs.readFileSync(options.resume, 'utf8'));
+    } else {
+        // Command line options override the config file, which overrides the preset
+        const config = Config.resolve(Config.defaults(), {
+            ...(options.config ? Config.fromJSON(fs.readFileSync(options.config, 'utf8')) : {}),
+            ...(options.preset ? { preset: options.preset } : {}),
+            ...(options.seed !== null ? { seed: options.seed } : {}),
+            ...(options.mode ? { evolutionMode: options.mode } : {})
+        });
+        
+        // Weights given on the command line replace the configured ones rather than adding to them
+        if (options.fitness) {
+            config.fitnessConfig = { ...config.fitnessConfig, ...options.fitness };
+        }
+        
+        // A map file replaces the generated terrain (see Environment.parseMap)
+        if (options.map) {
+            config.terrainConfig = { ...config.terrainConfig, source: 'map', map: JSON.parse(fs.readFileSync(options.map, 'utf8')) };
+        }
+        
+        // Build the world straight from the resolved configuration, so its seed alone decides it
+        simulation = new Simulation(null, config);
+    }
+    
+    const runner = new HeadlessRunner(simulation, { bestGenomeCount: options.best });
+    log(`Running ${options.generations} generations (seed ${simulation.seed}, ${simulation.config.evolutionMode} mode)`);
+    
+    const results = runner.run(options.generations, summary => {
+        log(`Generation ${summary.generation}: population ${summary.population}, ` +
+            `avg fitness ${summary.averageFitness.toFixed(2)}, max fitness ${summary.maxFitness.toFixed(2)}`);
+    });
+    
+    log(`Finished ${results.ticks} ticks in ${(results.elapsedMs / 1000).toFixed(1)}s`);
+    
+    if (options.out) {
+        fs.writeFileSync(options.out, JSON.stringify(results, null, 2));
+        log(`Results written to ${options.out}`);
+    }
+    
+    if (options.save) {
+        fs.writeFileSync(options.save, JSON.stringify(simulation.serialize()));
+        log(`Snapshot written to ${options.save}`);
+    }
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { SIMULATION_SCRIPTS, loadSimulation, createWorkerSimulation };
\ No newline at end of file